@@ -7,9 +7,15 @@ const express = require('express');
 const path = require('path');
 const { loadConfig, getConfig } = require('./config');
 const { createRateLimiter } = require('./middleware/ratelimiter');
+const { requireAuth } = require('./middleware/auth');
 const { registerDockerRoutes } = require('./routes/docker');
 const { registerSearchRoutes } = require('./routes/search');
-const { githubProxyHandler } = require('./routes/github');
+const { registerPrefetchRoutes } = require('./routes/prefetch');
+const { githubProxyHandler, registerGitHubRoutes } = require('./routes/github');
+const { registerHuggingFaceRoutes } = require('./routes/huggingface');
+const { registerPyPIRoutes } = require('./routes/pypi');
+const { registerNpmRoutes } = require('./routes/npm');
+const { getUpstreamStatus } = require('./utils/upstreamPool');
 
 // 服务启动时间
 const serviceStartTime = Date.now();
@@ -67,6 +73,7 @@ app.get('/ready', (req, res) => {
         start_time_unix: Math.floor(serviceStartTime / 1000),
         uptime_sec: uptimeSec,
         uptime_human: uptimeHuman,
+        upstreams: getUpstreamStatus(),
     });
 });
 
@@ -76,6 +83,21 @@ registerDockerRoutes(app);
 // 注册搜索 API 路由
 registerSearchRoutes(app);
 
+// 注册镜像预热任务路由
+registerPrefetchRoutes(app);
+
+// 注册 GitHub Release 附件解析路由
+registerGitHubRoutes(app);
+
+// 注册 Hugging Face Hub 路由
+registerHuggingFaceRoutes(app);
+
+// 注册 PyPI 镜像路由
+registerPyPIRoutes(app);
+
+// 注册 npm 镜像路由
+registerNpmRoutes(app);
+
 // 兼容原项目的搜索路由路径
 const { searchDockerHub, getRepositoryTags } = require('./routes/search');
 app.get('/search', async (req, res) => {
@@ -193,7 +215,7 @@ app.get('/api/tags/:namespace/*', async (req, res) => {
 });
 
 // GitHub 代理路由（NoRoute 处理器 - 最后）
-app.use(githubProxyHandler);
+app.use(requireAuth('github'), githubProxyHandler);
 
 // 错误处理中间件
 app.use((err, req, res, next) => {
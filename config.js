@@ -26,23 +26,34 @@ const defaultConfig = {
         blackList: [],
         proxy: '',
     },
+    // Docker Hub 上游凭据，留空则匿名拉取
+    dockerHub: {
+        upstream: 'registry-1.docker.io',
+        // 镜像源列表，按顺序尝试，为空时只使用 upstream
+        upstreams: [],
+        username: '',
+        password: '',
+        token: '',
+    },
+    // 各 Registry 可配置 username/password 或静态 token 用于私有镜像
+    // 认证方式通过探测上游 /v2/ 的 WWW-Authenticate 质询自动发现，
+    // authHost 仅在探测失败时作为备用 Token 地址
+    // upstreams 可配置多个镜像源，元素为地址或 { host, username, password, token }；
+    // Registry 级凭据只发送给 upstream，镜像源只使用各自配置的凭据
     registries: {
         'ghcr.io': {
             upstream: 'ghcr.io',
             authHost: 'ghcr.io/token',
-            authType: 'github',
             enabled: true,
         },
         'gcr.io': {
             upstream: 'gcr.io',
             authHost: 'gcr.io/v2/token',
-            authType: 'google',
             enabled: true,
         },
         'quay.io': {
             upstream: 'quay.io',
             authHost: 'quay.io/v2/auth',
-            authType: 'quay',
             enabled: true,
         },
         'registry.k8s.io': {
@@ -52,10 +63,134 @@ const defaultConfig = {
             enabled: true,
         },
     },
+    // 上游健康检查与熔断
+    upstreamHealth: {
+        checkInterval: 30, // 后台探测间隔（秒），0 表示关闭
+        failureThreshold: 3, // 连续失败次数达到阈值后暂停使用该上游
+        cooldown: 30, // 暂停时间（秒）
+        timeout: 5, // 探测超时（秒）
+    },
+    // 托管 Registry，命名空间下的镜像存储在本地并支持推送
+    hosted: {
+        enabled: false,
+        namespace: 'local', // 例如 local/app
+        dir: 'data/registry',
+        allowAnonymousPush: false, // 未启用代理认证时是否允许推送
+        maxManifestSize: 4 * 1024 * 1024,
+    },
+    // Cosign 签名校验，策略文件列出镜像模式与受信任的公钥
+    cosign: {
+        enabled: false,
+        policyFile: 'cosign-policy.toml',
+        defaultAction: 'allow', // 未匹配任何策略的镜像: allow 放行，deny 拒绝
+    },
+    // 镜像名改写规则，在识别 Registry 之前应用
+    imageRewrite: {
+        defaultRegistry: '', // 未带域名的镜像默认使用的 Registry，为空表示 Docker Hub
+        rules: [], // 例如 { from: 'internal/*', to: 'ghcr.io/our-org/*' }，按顺序匹配第一条
+    },
+    // 镜像平台策略
+    platforms: {
+        allowed: [], // 例如 ['linux/amd64', 'linux/arm64']，为空表示不限制
+        filterManifestLists: true, // 按标签拉取多平台清单时移除不允许的平台
+    },
+    // 代理自身的客户端认证
+    auth: {
+        enabled: false,
+        secret: '', // Token 签名密钥，留空则启动时随机生成
+        tokenTTL: 3600, // 代理 Token 有效期（秒）
+        service: 'hubproxy',
+        protectDocker: true, // /v2/* 需要认证
+        protectGitHub: false, // GitHub 文件代理需要认证
+        // [{ username, password: 'scrypt:<salt>:<hash>', apiKeys: ['sha256:<hex>'], allow: [], requestLimit }]
+        users: [],
+    },
     tokenCache: {
         enabled: true,
         defaultTTL: '20m',
     },
+    blobCache: {
+        enabled: true,
+        dir: 'cache/blobs',
+        maxSize: 20 * 1024 * 1024 * 1024, // 20GB
+    },
+    manifestCache: {
+        enabled: true,
+        dir: 'cache/manifests',
+        maxSize: 1024 * 1024 * 1024, // 1GB
+        tagTTL: 300, // 标签到摘要映射的有效期（秒）
+        upstreamTimeout: 15, // 上游 Manifest 请求超时（秒）
+    },
+    // 代理文本内容中的链接改写，使脚本后续下载同样经过代理
+    contentRewrite: {
+        enabled: true,
+        // 按文件名改写：以 . 开头匹配扩展名，其余按文件名通配符匹配
+        files: ['.sh', '.bash', '.ps1', '.bat', '.cmd', '.py', '.yaml', '.yml', 'Dockerfile', 'Dockerfile.*', 'Makefile'],
+        // 按响应类型改写，例如 api.github.com 返回的 browser_download_url
+        contentTypes: ['application/json'],
+        // 需要添加代理前缀的链接域名，支持通配符
+        hosts: [
+            'github.com',
+            'raw.githubusercontent.com',
+            'gist.github.com',
+            'gist.githubusercontent.com',
+            'api.github.com',
+            'huggingface.co',
+            'cdn-lfs.hf.co',
+        ],
+    },
+    // GitHub API 代理：未自带凭据的请求使用 Token 池，GET 响应缓存后以条件请求确认
+    githubApi: {
+        tokens: [], // Personal Access Token 列表，按剩余额度轮换
+        cacheTTL: 60, // 缓存在此时间内直接返回，不向上游确认（秒）
+        timeout: 15, // 上游请求超时（秒）
+    },
+    // GitHub Release 附件与源码归档的磁盘缓存
+    githubCache: {
+        enabled: true,
+        dir: 'cache/github',
+        maxSize: 10 * 1024 * 1024 * 1024, // 10GB
+        revalidateAfter: 60, // 分支归档、raw 文件等可变内容在此时间内不向上游确认（秒）
+    },
+    // 文件加速的域名规则，hosts 中的规则优先于内置的 GitHub 规则
+    proxy: {
+        builtinHosts: true,
+        hosts: [],
+        blockedContentTypes: ['text/html', 'application/xhtml+xml', 'text/xml', 'application/xml'],
+    },
+    // PyPI 镜像（PEP 503 / PEP 691 Simple API）
+    pypi: {
+        enabled: true,
+        upstream: 'pypi.org',
+        filesUpstream: 'files.pythonhosted.org',
+        indexTTL: 300, // 项目页面在此时间内直接返回，不向上游确认（秒）
+        timeout: 15, // 上游请求超时（秒）
+        whiteList: [], // 项目名通配符（规范化后的名称，如 django-*）
+        blackList: [],
+    },
+    // npm 镜像
+    npm: {
+        enabled: true,
+        upstream: 'registry.npmjs.org',
+        metadataTTL: 300, // 包元数据在此时间内直接返回，不向上游确认（秒）
+        timeout: 30, // 上游请求超时（秒）
+        whiteList: [], // 包名通配符，如 @myorg/*
+        blackList: [],
+    },
+    // PyPI 发行文件、npm 包文件等不可变软件包文件的磁盘缓存
+    packageCache: {
+        enabled: true,
+        dir: 'cache/packages',
+        maxSize: 20 * 1024 * 1024 * 1024, // 20GB
+    },
+    // Hugging Face Hub 代理（兼容 HF_ENDPOINT）
+    huggingface: {
+        enabled: true,
+        upstream: 'huggingface.co',
+        token: '', // 已认证的代理用户未提供 Token 时使用，用于访问需授权的模型
+        anonymousToken: false, // 是否对匿名请求也使用 token（会向所有人开放 token 可访问的模型）
+        cdnHosts: ['*.hf.co', '*.huggingface.co'], // 允许代理的 LFS / Xet 存储地址
+    },
 };
 
 let appConfig = null;
@@ -126,6 +261,54 @@ function overrideFromEnv() {
         const period = parseFloat(process.env.RATE_PERIOD_HOURS);
         if (period > 0) appConfig.rateLimit.periodHours = period;
     }
+    if (process.env.BLOB_CACHE_DIR) {
+        appConfig.blobCache.dir = process.env.BLOB_CACHE_DIR;
+    }
+    if (process.env.BLOB_CACHE_MAX_SIZE) {
+        const size = parseInt(process.env.BLOB_CACHE_MAX_SIZE, 10);
+        if (size > 0) appConfig.blobCache.maxSize = size;
+    }
+    if (process.env.GITHUB_TOKENS) {
+        appConfig.githubApi.tokens = process.env.GITHUB_TOKENS.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    if (process.env.PACKAGE_CACHE_DIR) {
+        appConfig.packageCache.dir = process.env.PACKAGE_CACHE_DIR;
+    }
+    if (process.env.HF_TOKEN) {
+        appConfig.huggingface.token = process.env.HF_TOKEN;
+    }
+    if (process.env.GITHUB_CACHE_DIR) {
+        appConfig.githubCache.dir = process.env.GITHUB_CACHE_DIR;
+    }
+    if (process.env.MANIFEST_TAG_TTL) {
+        const ttl = parseInt(process.env.MANIFEST_TAG_TTL, 10);
+        if (ttl >= 0) appConfig.manifestCache.tagTTL = ttl;
+    }
+    if (process.env.DOCKERHUB_USERNAME) {
+        appConfig.dockerHub.username = process.env.DOCKERHUB_USERNAME;
+    }
+    if (process.env.DOCKERHUB_PASSWORD) {
+        appConfig.dockerHub.password = process.env.DOCKERHUB_PASSWORD;
+    }
+    if (process.env.DOCKERHUB_UPSTREAMS) {
+        appConfig.dockerHub.upstreams = process.env.DOCKERHUB_UPSTREAMS.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    if (process.env.HOSTED_REGISTRY_DIR) {
+        appConfig.hosted.dir = process.env.HOSTED_REGISTRY_DIR;
+    }
+    if (process.env.COSIGN_POLICY_FILE) {
+        appConfig.cosign.enabled = true;
+        appConfig.cosign.policyFile = process.env.COSIGN_POLICY_FILE;
+    }
+    if (process.env.DEFAULT_REGISTRY) {
+        appConfig.imageRewrite.defaultRegistry = process.env.DEFAULT_REGISTRY;
+    }
+    if (process.env.ALLOWED_PLATFORMS) {
+        appConfig.platforms.allowed = process.env.ALLOWED_PLATFORMS.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    if (process.env.AUTH_SECRET) {
+        appConfig.auth.secret = process.env.AUTH_SECRET;
+    }
     if (process.env.IP_WHITELIST) {
         appConfig.security.whiteList = [
             ...appConfig.security.whiteList,
@@ -4,6 +4,12 @@
  */
 
 const { getConfig } = require('../config');
+const { Cache } = require('../utils/cache');
+const { isSemverRange, satisfies } = require('../utils/semver');
+const { parseSubjectTag } = require('../utils/referrers');
+
+// 已解析的 Manifest 摘要 -> 得到它的引用（标签或上级清单摘要），用于按摘要拉取时套用版本规则
+const manifestReferences = new Cache(100000, 24 * 60 * 60 * 1000);
 
 /**
  * 通配符匹配
@@ -33,7 +39,8 @@ function matchesPattern(repoPath, patterns) {
 
 /**
  * 检查 GitHub 访问权限
- * @param {string} username - 用户名
+ * 没有所有者的仓库（如单段仓库名模板）只按仓库名匹配，owner/* 形式的规则不适用
+ * @param {string|null} username - 用户名，没有所有者时为 null
  * @param {string} repoName - 仓库名
  * @returns {{ allowed: boolean, reason: string }}
  */
@@ -43,7 +50,7 @@ function checkGitHubAccess(username, repoName) {
 
     // 移除 .git 后缀
     const cleanRepoName = repoName.replace(/\.git$/, '');
-    const repoPath = `${username}/${cleanRepoName}`;
+    const repoPath = username ? `${username}/${cleanRepoName}` : cleanRepoName;
 
     // 如果有白名单，必须在白名单中
     if (whiteList && whiteList.length > 0) {
@@ -62,27 +69,234 @@ function checkGitHubAccess(username, repoName) {
     return { allowed: true, reason: '' };
 }
 
+/**
+ * 解析 Docker 访问规则
+ * 格式: 镜像名、镜像名:标签通配符、镜像名:版本范围、镜像名@摘要
+ * 例如: nginx:1.*、redis:^7.2、library/redis@sha256:...
+ * 返回: { rule, name, tag, range, digest }
+ */
+function parseDockerRule(rule) {
+    const atIndex = rule.indexOf('@');
+    if (atIndex >= 0) {
+        return { rule, name: rule.slice(0, atIndex), digest: rule.slice(atIndex + 1) };
+    }
+
+    // 冒号在最后一个 / 之后才是标签，避免误判 registry 端口
+    const colonIndex = rule.indexOf(':', rule.lastIndexOf('/') + 1);
+    if (colonIndex < 0) {
+        return { rule, name: rule };
+    }
+
+    const name = rule.slice(0, colonIndex);
+    const ref = rule.slice(colonIndex + 1).trim();
+    return isSemverRange(ref) ? { rule, name, range: ref } : { rule, name, tag: ref };
+}
+
+/**
+ * 记录 Manifest 摘要与得到它的引用
+ * 按标签拉取多平台清单后，客户端会按摘要拉取子 Manifest，这些摘要继承标签的规则判定
+ * @param {string} imageName - 完整镜像名
+ * @param {string} reference - 请求使用的标签或摘要
+ * @param {string[]} digests - 返回的清单摘要及其子 Manifest 摘要
+ */
+function recordManifestReferences(imageName, reference, digests) {
+    for (const digest of digests) {
+        if (digest === reference) {
+            continue;
+        }
+        const key = `${imageName}@${digest}`;
+        const references = manifestReferences.get(key) || [];
+        if (!references.includes(reference)) {
+            manifestReferences.set(key, [...references, reference].slice(-20));
+        }
+    }
+}
+
+/**
+ * 展开引用：摘要引用包含已知的来源标签与上级清单摘要，引用其他镜像的标签包含被引用的摘要
+ */
+function expandReferences(imageName, reference) {
+    const result = [reference];
+    for (let i = 0; i < result.length && result.length < 100; i++) {
+        // 签名与引用列表标签（sha256-<hex>.sig 等）沿用被引用镜像的判定
+        const subject = parseSubjectTag(result[i]);
+        if (subject && !result.includes(subject)) {
+            result.push(subject);
+        }
+        if (!result[i].startsWith('sha256:')) {
+            continue;
+        }
+        for (const parent of manifestReferences.get(`${imageName}@${result[i]}`) || []) {
+            if (!result.includes(parent)) {
+                result.push(parent);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * 检查引用是否满足规则的版本约束
+ */
+function matchesReference(rule, references) {
+    return references.some((ref) => {
+        if (rule.digest) {
+            return ref === rule.digest;
+        }
+        if (ref.startsWith('sha256:')) {
+            return false;
+        }
+        return rule.range ? satisfies(ref, rule.range) : wildcardMatch(rule.tag, ref);
+    });
+}
+
+/**
+ * 查找匹配镜像的规则
+ * 未带版本约束的规则只匹配镜像名；没有引用时（Blob、标签列表）带约束的规则只按镜像名匹配
+ * @param {boolean} requireReference - 为 true 时，没有引用的请求不匹配带约束的规则
+ */
+function findDockerRule(rules, imageName, references, requireReference) {
+    for (const rule of rules.map(parseDockerRule)) {
+        if (!wildcardMatch(rule.name, imageName)) {
+            continue;
+        }
+        if (!rule.tag && !rule.range && !rule.digest) {
+            return rule;
+        }
+        if (references.length === 0 ? !requireReference : matchesReference(rule, references)) {
+            return rule;
+        }
+    }
+    return null;
+}
+
+/**
+ * 查找镜像适用的标签或版本范围黑名单规则
+ * 没有已知来源标签的摘要无法判定这类规则，须拒绝
+ */
+function findVersionBlackRule(blackList, imageName) {
+    return blackList.map(parseDockerRule).find(rule => (rule.tag || rule.range) && wildcardMatch(rule.name, imageName));
+}
+
+/**
+ * 检查展开后的引用是否包含来源标签（签名等引用标签除外）
+ */
+function hasSourceTag(references) {
+    return references.some(ref => !ref.startsWith('sha256:') && !parseSubjectTag(ref));
+}
+
+/**
+ * 格式化镜像引用
+ */
+function formatImageReference(imageName, reference) {
+    if (!reference) {
+        return imageName;
+    }
+    return reference.startsWith('sha256:') ? `${imageName}@${reference}` : `${imageName}:${reference}`;
+}
+
+/**
+ * 检查黑白名单中是否有带版本约束的 Docker 规则
+ */
+function hasDockerVersionRules() {
+    const { whiteList, blackList } = getConfig().access;
+    return [...(whiteList || []), ...(blackList || [])].some((rule) => {
+        const parsed = parseDockerRule(rule);
+        return !!(parsed.tag || parsed.range || parsed.digest);
+    });
+}
+
 /**
  * 检查 Docker 镜像访问权限
  * @param {string} imageName - 镜像名称
+ * @param {string} [reference] - Manifest 的标签或摘要，Blob 与标签列表请求不传
  * @returns {{ allowed: boolean, reason: string }}
  */
-function checkDockerAccess(imageName) {
+function checkDockerAccess(imageName, reference = '') {
     const config = getConfig();
     const { whiteList, blackList } = config.access;
+    const references = reference ? expandReferences(imageName, reference) : [];
+    const target = formatImageReference(imageName, reference);
 
     // 如果有白名单，必须在白名单中
     if (whiteList && whiteList.length > 0) {
-        if (!matchesPattern(imageName, whiteList)) {
+        if (!findDockerRule(whiteList, imageName, references, false)) {
+            const related = whiteList.filter(rule => wildcardMatch(parseDockerRule(rule).name, imageName));
+            if (related.length > 0) {
+                return { allowed: false, reason: `${target} 不满足白名单中的版本规则: ${related.join(', ')}` };
+            }
             return { allowed: false, reason: '该镜像不在白名单中' };
         }
     }
 
     // 检查黑名单
     if (blackList && blackList.length > 0) {
-        if (matchesPattern(imageName, blackList)) {
-            return { allowed: false, reason: '该镜像在黑名单中' };
+        const rule = findDockerRule(blackList, imageName, references, true);
+        if (rule) {
+            if (rule.rule === rule.name) {
+                return { allowed: false, reason: '该镜像在黑名单中' };
+            }
+            return { allowed: false, reason: `${target} 匹配黑名单规则: ${rule.rule}` };
         }
+
+        const versionRule = references.length > 0 && !hasSourceTag(references)
+            ? findVersionBlackRule(blackList, imageName)
+            : null;
+        if (versionRule) {
+            return { allowed: false, reason: `${target} 没有已知的来源标签，无法判定黑名单规则: ${versionRule.rule}` };
+        }
+    }
+
+    return { allowed: true, reason: '' };
+}
+
+/**
+ * 按名称通配符检查软件包访问权限
+ */
+function checkPackageName(name, whiteList, blackList) {
+    if (whiteList && whiteList.length > 0 && !matchesPattern(name, whiteList)) {
+        return { allowed: false, reason: '该软件包不在白名单中' };
+    }
+    if (blackList && blackList.length > 0 && matchesPattern(name, blackList)) {
+        return { allowed: false, reason: '该软件包在黑名单中' };
+    }
+    return { allowed: true, reason: '' };
+}
+
+/**
+ * 检查 PyPI 软件包访问权限
+ * @param {string} project - 规范化的项目名（PEP 503）
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function checkPyPIAccess(project) {
+    const { whiteList, blackList } = getConfig().pypi || {};
+    return checkPackageName(project, whiteList, blackList);
+}
+
+/**
+ * 检查 npm 软件包访问权限
+ * @param {string} name - 包名，作用域包为 @scope/name
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function checkNpmAccess(name) {
+    const { whiteList, blackList } = getConfig().npm || {};
+    return checkPackageName(name, whiteList, blackList);
+}
+
+/**
+ * 检查已认证用户的访问范围
+ * 用户配置了 allow 列表时，目标（镜像名或 owner/repo）必须匹配其中之一
+ * @param {object} user - 认证中间件识别出的用户，未启用认证时为 undefined
+ * @param {string} target - 镜像名或仓库路径
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function checkUserAccess(user, target) {
+    if (!user || !user.allow || user.allow.length === 0) {
+        return { allowed: true, reason: '' };
+    }
+
+    if (!matchesPattern(target, user.allow)) {
+        return { allowed: false, reason: `用户 ${user.username} 无权访问 ${target}` };
     }
 
     return { allowed: true, reason: '' };
@@ -91,6 +305,11 @@ function checkDockerAccess(imageName) {
 module.exports = {
     checkGitHubAccess,
     checkDockerAccess,
+    checkPyPIAccess,
+    checkNpmAccess,
+    checkUserAccess,
+    recordManifestReferences,
+    hasDockerVersionRules,
     wildcardMatch,
     matchesPattern,
 };
@@ -0,0 +1,312 @@
+/**
+ * 代理客户端认证中间件
+ * 支持配置用户（哈希密码或 API Key）、docker login 与代理签发的 Token
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getConfig } = require('../config');
+const { Cache } = require('../utils/cache');
+const { consumeToken } = require('./ratelimiter');
+
+// 校验通过的 Basic 凭据缓存，避免每个请求都计算 scrypt
+const credentialCache = new Cache(1000, 5 * 60 * 1000);
+
+// API Key 的匹配结果缓存，未匹配的结果短暂缓存，避免无效的 Bearer 值反复对所有 Key 计算 scrypt
+const apiKeyCache = new Cache(1000, 5 * 60 * 1000);
+const API_KEY_MISS_TTL = 30 * 1000;
+
+// scrypt 在线程池中计算，不阻塞事件循环
+const scrypt = promisify(crypto.scrypt);
+
+// 未配置 secret 时使用启动时随机生成的密钥，重启后已签发的 Token 失效
+let generatedSecret = null;
+
+/**
+ * 获取 Token 签名密钥
+ */
+function getSecret() {
+    const { secret } = getConfig().auth;
+    if (secret) {
+        return secret;
+    }
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('未配置 auth.secret，使用随机密钥，重启后已签发的 Token 将失效');
+    }
+    return generatedSecret;
+}
+
+/**
+ * 生成密码哈希，格式: scrypt:<salt>:<hash>
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * 常量时间比较两个十六进制字符串
+ */
+function safeEqualHex(a, b) {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * 校验明文与存储的哈希
+ * 支持 scrypt:<salt>:<hash> 与 sha256:<hex> 两种格式
+ */
+async function verifySecret(plain, stored) {
+    if (!plain || !stored) {
+        return false;
+    }
+
+    const parts = stored.split(':');
+    if (parts[0] === 'scrypt' && parts.length === 3) {
+        const hash = (await scrypt(plain, parts[1], 32)).toString('hex');
+        return safeEqualHex(hash, parts[2]);
+    }
+    if (parts[0] === 'sha256' && parts.length === 2) {
+        const hash = crypto.createHash('sha256').update(plain).digest('hex');
+        return safeEqualHex(hash, parts[1].toLowerCase());
+    }
+    return false;
+}
+
+/**
+ * 检查是否对指定类型的路由启用认证
+ * @param {string} kind - 'docker' 或 'github'
+ */
+function isAuthRequired(kind) {
+    const { auth } = getConfig();
+    if (!auth?.enabled) {
+        return false;
+    }
+    return kind === 'docker' ? auth.protectDocker !== false : !!auth.protectGitHub;
+}
+
+/**
+ * 按用户名查找用户
+ */
+function findUser(username) {
+    const users = getConfig().auth?.users || [];
+    return users.find(user => user.username === username) || null;
+}
+
+/**
+ * 校验用户名与密码（或 API Key）
+ */
+async function authenticateUser(username, password) {
+    const cacheKey = crypto.createHash('sha256').update(`${username}:${password}`).digest('hex');
+    if (credentialCache.get(cacheKey)) {
+        return findUser(username);
+    }
+
+    const user = findUser(username);
+    if (!user) {
+        return null;
+    }
+
+    for (const stored of [user.password, ...(user.apiKeys || [])]) {
+        if (await verifySecret(password, stored)) {
+            credentialCache.set(cacheKey, true);
+            return user;
+        }
+    }
+    return null;
+}
+
+/**
+ * 查找与 API Key 匹配的用户
+ */
+async function authenticateApiKey(apiKey) {
+    const cacheKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const cached = apiKeyCache.get(cacheKey);
+    if (cached) {
+        return cached.username ? findUser(cached.username) : null;
+    }
+
+    for (const user of getConfig().auth?.users || []) {
+        for (const stored of user.apiKeys || []) {
+            if (await verifySecret(apiKey, stored)) {
+                apiKeyCache.set(cacheKey, { username: user.username });
+                return user;
+            }
+        }
+    }
+    apiKeyCache.set(cacheKey, { username: null }, API_KEY_MISS_TTL);
+    return null;
+}
+
+/**
+ * 签发代理 Token
+ * 格式: <base64url(payload)>.<base64url(hmac)>
+ */
+function issueToken(user) {
+    const ttl = getConfig().auth.tokenTTL;
+    const payload = {
+        sub: user.username,
+        iat: Math.floor(Date.now() / 1000),
+        exp: Math.floor(Date.now() / 1000) + ttl,
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+    return { token: `${body}.${signature}`, expiresIn: ttl, issuedAt: new Date(payload.iat * 1000).toISOString() };
+}
+
+/**
+ * 校验代理 Token，返回对应用户或 null
+ */
+function verifyToken(token) {
+    const [body, signature] = (token || '').split('.');
+    if (!body || !signature) {
+        return null;
+    }
+
+    // 按字节比较长度，签名中的多字节字符会使字符串长度与字节长度不一致
+    const actual = Buffer.from(signature);
+    const expected = Buffer.from(crypto.createHmac('sha256', getSecret()).update(body).digest('base64url'));
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+        if (payload.exp < Date.now() / 1000) {
+            return null;
+        }
+        return findUser(payload.sub);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 解析 Basic 认证头
+ * 返回: { username, password } 或 null
+ */
+function parseBasicAuth(header) {
+    const match = (header || '').match(/^Basic\s+(.+)$/i);
+    if (!match) {
+        return null;
+    }
+    const decoded = Buffer.from(match[1], 'base64').toString('utf-8');
+    const index = decoded.indexOf(':');
+    if (index < 0) {
+        return null;
+    }
+    return { username: decoded.slice(0, index), password: decoded.slice(index + 1) };
+}
+
+/**
+ * 识别请求的用户身份
+ * Bearer 可为代理签发的 Token 或 API Key，Basic 为用户名与密码（或 API Key）
+ */
+async function identifyUser(req) {
+    const header = req.headers.authorization || '';
+
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+        return verifyToken(bearer[1]) || await authenticateApiKey(bearer[1]);
+    }
+
+    const basic = parseBasicAuth(header);
+    if (basic) {
+        return authenticateUser(basic.username, basic.password);
+    }
+
+    return null;
+}
+
+/**
+ * 获取代理的外部访问地址
+ */
+function getProxyBaseURL(req) {
+    const proxyHost = req.headers['x-forwarded-host'] || req.headers.host || '';
+    const scheme = req.headers['x-forwarded-proto'] || 'https';
+    return `${scheme}://${proxyHost}`;
+}
+
+/**
+ * 检查用户的请求配额
+ */
+function checkUserQuota(user) {
+    if (!user.requestLimit) {
+        return true;
+    }
+    const periodHours = user.periodHours || getConfig().rateLimit.periodHours;
+    return consumeToken(`user:${user.username}`, user.requestLimit, periodHours * 3600 * 1000);
+}
+
+/**
+ * 创建认证中间件
+ * @param {string} kind - 'docker' 或 'github'
+ */
+function requireAuth(kind) {
+    return async (req, res, next) => {
+        try {
+            if (!isAuthRequired(kind)) {
+                return next();
+            }
+
+            const user = await identifyUser(req);
+            if (!user) {
+                if (kind === 'docker') {
+                    const { service } = getConfig().auth;
+                    res.set('WWW-Authenticate', `Bearer realm="${getProxyBaseURL(req)}/token",service="${service}"`);
+                    return res.status(401).json({
+                        errors: [{ code: 'UNAUTHORIZED', message: '需要登录代理', detail: null }],
+                    });
+                }
+                res.set('WWW-Authenticate', 'Basic realm="hubproxy"');
+                return res.status(401).send('需要登录代理');
+            }
+
+            if (!checkUserQuota(user)) {
+                console.log(`用户 ${user.username} 请求频率过快`);
+                return res.status(429).json({ error: '请求频率过快，暂时限制访问' });
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * 代理 Token 签发处理器（docker login 使用）
+ */
+async function authTokenHandler(req, res, next) {
+    try {
+        const user = await identifyUser(req);
+        if (!user) {
+            res.set('WWW-Authenticate', 'Basic realm="hubproxy"');
+            return res.status(401).json({ error: '用户名或密码错误' });
+        }
+
+        const { token, expiresIn, issuedAt } = issueToken(user);
+        res.json({
+            token,
+            access_token: token,
+            expires_in: expiresIn,
+            issued_at: issuedAt,
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifySecret,
+    isAuthRequired,
+    identifyUser,
+    requireAuth,
+    authTokenHandler,
+    getProxyBaseURL,
+};
@@ -157,6 +157,41 @@ function normalizeIP(ip) {
     return parts.join(':') + '/64';
 }
 
+/**
+ * 从指定键的令牌桶中消耗一个令牌
+ * @param {string} key - 限流键（IP 或用户）
+ * @param {number} limit - 周期内允许的请求数
+ * @param {number} periodMs - 周期（毫秒）
+ * @returns {boolean} 是否允许本次请求
+ */
+function consumeToken(key, limit, periodMs) {
+    const now = Date.now();
+
+    let record = ipRecords.get(key);
+    if (!record) {
+        record = {
+            tokens: limit,
+            lastRefill: now,
+            lastAccess: now,
+        };
+        ipRecords.set(key, record);
+    }
+
+    // Token bucket 算法
+    const elapsed = now - record.lastRefill;
+    const refillAmount = (elapsed / periodMs) * limit;
+    record.tokens = Math.min(limit, record.tokens + refillAmount);
+    record.lastRefill = now;
+    record.lastAccess = now;
+
+    if (record.tokens < 1) {
+        return false;
+    }
+
+    record.tokens -= 1;
+    return true;
+}
+
 /**
  * 创建限流中间件
  */
@@ -206,37 +241,18 @@ function createRateLimiter() {
         }
 
         const normalizedIP = normalizeIP(cleanIP);
-        const now = Date.now();
-
-        let record = ipRecords.get(normalizedIP);
-        if (!record) {
-            record = {
-                tokens: requestLimit,
-                lastRefill: now,
-                lastAccess: now,
-            };
-            ipRecords.set(normalizedIP, record);
-        }
-
-        // Token bucket 算法
-        const elapsed = now - record.lastRefill;
-        const refillAmount = (elapsed / periodMs) * requestLimit;
-        record.tokens = Math.min(requestLimit, record.tokens + refillAmount);
-        record.lastRefill = now;
-        record.lastAccess = now;
-
-        if (record.tokens < 1) {
+        if (!consumeToken(normalizedIP, requestLimit, periodMs)) {
             console.log(`IP ${cleanIP} 请求频率过快`);
             return res.status(429).json({ error: '请求频率过快，暂时限制访问' });
         }
 
-        record.tokens -= 1;
         next();
     };
 }
 
 module.exports = {
     createRateLimiter,
+    consumeToken,
     extractIP,
     isIPInList,
 };
@@ -3,15 +3,140 @@
  * 对应原 Go 项目的 handlers/docker.go
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 const { getConfig } = require('../config');
-const { checkDockerAccess } = require('../middleware/accessControl');
-const { tokenCache } = require('../utils/cache');
+const {
+    checkDockerAccess,
+    checkUserAccess,
+    recordManifestReferences,
+    hasDockerVersionRules,
+} = require('../middleware/accessControl');
+const { isAuthRequired, requireAuth, authTokenHandler } = require('../middleware/auth');
+const { tokenCache, Cache } = require('../utils/cache');
+const { DiskCache, isSha256Digest } = require('../utils/diskCache');
+const { SingleFlight } = require('../utils/singleFlight');
+const { resolveRange, sendFileRange } = require('../utils/range');
+const { discoverAuthChallenge } = require('../utils/authChallenge');
+const { rewriteImageName } = require('../utils/imageRewrite');
+const {
+    orderUpstreams,
+    reportUpstreamSuccess,
+    reportUpstreamFailure,
+    startHealthChecks,
+} = require('../utils/upstreamPool');
+const { hostedRegistryHandler } = require('./hosted');
+const { findSignaturePolicy, verifyImageSignature, findArtifactSubject, markVerified } = require('../utils/cosign');
+const {
+    INDEX_MEDIA_TYPE,
+    parseSubjectTag,
+    buildSubjectTag,
+    buildReferrersIndex,
+    filterReferrers,
+} = require('../utils/referrers');
+const {
+    getAllowedPlatforms,
+    isManifestList,
+    parseManifest,
+    recordManifestList,
+    recordImageManifest,
+    filterManifestList,
+    checkManifestPlatform,
+    checkBlobPlatform,
+} = require('../utils/platformPolicy');
 
-// Docker Hub 默认配置
-const DOCKER_HUB_REGISTRY = 'registry-1.docker.io';
+// Docker Hub 认证服务，探测质询失败时使用
 const DOCKER_HUB_AUTH = 'auth.docker.io';
 
+// 默认接受的 Manifest 类型
+const MANIFEST_MEDIA_TYPES = [
+    'application/vnd.docker.distribution.manifest.v2+json',
+    'application/vnd.docker.distribution.manifest.list.v2+json',
+    'application/vnd.oci.image.manifest.v1+json',
+    'application/vnd.oci.image.index.v1+json',
+];
+
+// 磁盘缓存实例（按需初始化）
+let blobCache = null;
+let manifestCache = null;
+let filteredManifests = null;
+
+// 并发请求合并：Token、Manifest 与 Blob 各自独立
+const tokenFlights = new SingleFlight();
+const manifestFlights = new SingleFlight();
+const blobFlights = new SingleFlight();
+
+// 进行中的 Blob 下载，键为摘要
+const activeDownloads = new Map();
+
+// 已在后台获取过的不允许平台的子 Manifest
+const learnedManifests = new Cache(10000, 24 * 60 * 60 * 1000);
+
+// 已向上游确认可由对应镜像访问的 Blob，键为 <镜像>@<摘要>|<凭据标识>
+const blobAccess = new Cache(10000, 24 * 60 * 60 * 1000);
+
+/**
+ * 获取 Blob 磁盘缓存，未启用时返回 null
+ */
+function getBlobCache() {
+    const config = getConfig();
+    if (!config.blobCache?.enabled) {
+        return null;
+    }
+    if (!blobCache) {
+        blobCache = new DiskCache(path.resolve(config.blobCache.dir), config.blobCache.maxSize).init();
+    }
+    return blobCache;
+}
+
+/**
+ * 获取 Manifest 磁盘缓存，未启用时返回 null
+ */
+function getManifestCache() {
+    const config = getConfig();
+    if (!config.manifestCache?.enabled) {
+        return null;
+    }
+    if (!manifestCache) {
+        manifestCache = new DiskCache(path.resolve(config.manifestCache.dir), config.manifestCache.maxSize).init();
+    }
+    return manifestCache;
+}
+
+/**
+ * 获取按平台过滤生成的清单存储，未启用 Manifest 缓存时返回 null
+ * 过滤结果在上游不存在，单独存放，上限与 Manifest 缓存相同，按 LRU 淘汰，键为 <镜像>@<摘要>
+ */
+function getFilteredManifests() {
+    const config = getConfig();
+    if (!config.manifestCache?.enabled) {
+        return null;
+    }
+    if (!filteredManifests) {
+        filteredManifests = new DiskCache(`${path.resolve(config.manifestCache.dir)}-filtered`, config.manifestCache.maxSize).init();
+    }
+    return filteredManifests;
+}
+
+/**
+ * 查找代理按平台过滤生成的清单
+ * 由客户端凭据获取的清单过滤而来时，只返回给持有相同凭据的请求
+ * @param {string} credential - 请求的凭据标识，见 getCredentialKey
+ */
+async function lookupFilteredManifest(fullImageName, reference, accept, credential) {
+    const store = isSha256Digest(reference) ? getFilteredManifests() : null;
+    const manifest = store ? await store.read(`${fullImageName}@${reference}`) : null;
+    if (!manifest || !acceptsMediaType(accept, manifest.meta.contentType)) {
+        return null;
+    }
+    if (manifest.meta.credential && manifest.meta.credential !== credential) {
+        return null;
+    }
+    return manifest;
+}
+
 /**
  * 检测 Registry 域名
  */
@@ -20,7 +145,8 @@ function detectRegistryDomain(path) {
     const registries = config.registries || {};
 
     // 检查路径中是否包含已知的 registry 域名
-    for (const domain of Object.keys(registries)) {
+    for (const [domain, mapping] of Object.entries(registries)) {
+        if (mapping.enabled === false) continue;
         if (path.startsWith(domain + '/') || path.startsWith('/' + domain + '/')) {
             const remaining = path.replace(new RegExp(`^/?${domain}/`), '');
             return { domain, remaining };
@@ -35,7 +161,76 @@ function detectRegistryDomain(path) {
  */
 function getRegistryMapping(domain) {
     const config = getConfig();
-    return config.registries?.[domain] || null;
+    const mapping = config.registries?.[domain];
+    if (!mapping || mapping.enabled === false) {
+        return null;
+    }
+    // 未配置 upstream 时默认与域名相同
+    return { upstream: domain, ...mapping };
+}
+
+/**
+ * 获取 Registry 的上游配置，Docker Hub 使用 dockerHub 配置段
+ */
+function getRegistrySource(registryDomain) {
+    return registryDomain ? getRegistryMapping(registryDomain) : getConfig().dockerHub;
+}
+
+/**
+ * 获取 Registry 的全部上游（按配置顺序）
+ * 返回: [{ host, username, password, token }]
+ */
+function getRegistryEndpoints(registryDomain) {
+    const source = getRegistrySource(registryDomain);
+    if (!source) {
+        return [];
+    }
+    const entries = source.upstreams?.length ? source.upstreams : [source.upstream];
+    return entries.map(entry => (typeof entry === 'string' ? { host: entry } : { ...entry }));
+}
+
+/**
+ * 列出需要后台探测的上游，只有配置了多个上游的 Registry 需要切换
+ */
+function listMirroredHosts() {
+    const domains = [null, ...Object.keys(getConfig().registries || {})];
+    const hosts = new Set();
+    for (const domain of domains) {
+        const endpoints = getRegistryEndpoints(domain);
+        if (endpoints.length > 1) {
+            endpoints.forEach(endpoint => hosts.add(endpoint.host));
+        }
+    }
+    return [...hosts];
+}
+
+/**
+ * 获取 Registry 的上游，可用的排在前面
+ */
+function selectUpstreams(registryDomain) {
+    startHealthChecks(listMirroredHosts);
+    return orderUpstreams(getRegistryEndpoints(registryDomain));
+}
+
+/**
+ * 获取上游 Registry 凭据
+ * 镜像源只使用自身配置的凭据，Registry 级凭据只发送给 upstream，避免泄露给第三方镜像源
+ * 返回: { username, password, token }
+ */
+function getRegistryCredentials(registryDomain, upstream) {
+    const source = getRegistrySource(registryDomain);
+    const endpoint = getRegistryEndpoints(registryDomain).find(item => item.host === upstream);
+    let creds = {};
+    if (endpoint?.token || endpoint?.username) {
+        creds = endpoint;
+    } else if (upstream === source?.upstream) {
+        creds = source;
+    }
+    return {
+        username: creds.username || '',
+        password: creds.password || '',
+        token: creds.token || '',
+    };
 }
 
 /**
@@ -44,117 +239,785 @@ function getRegistryMapping(domain) {
  */
 function parseRegistryPath(path) {
     // 移除开头的 /v2/
-    let cleanPath = path.replace(/^\/v2\/?/, '');
-
-    // 检测是否包含其他 registry 域名
-    const { domain, remaining } = detectRegistryDomain(cleanPath);
-    if (domain) {
-        cleanPath = remaining;
-    }
+    const cleanPath = path.replace(/^\/v2\/?/, '');
 
     // 解析 API 类型和引用
-    const manifestsMatch = cleanPath.match(/^(.+?)\/manifests\/(.+)$/);
-    if (manifestsMatch) {
-        return { imageName: manifestsMatch[1], apiType: 'manifests', reference: manifestsMatch[2], registryDomain: domain };
+    let name = cleanPath;
+    let apiType = '';
+    let reference = '';
+    const apiMatch = cleanPath.match(/^(.+?)\/(manifests|blobs|referrers)\/(.+)$/);
+    const tagsMatch = cleanPath.match(/^(.+?)\/tags\/list$/);
+    if (apiMatch) {
+        [, name, apiType, reference] = apiMatch;
+    } else if (tagsMatch) {
+        name = tagsMatch[1];
+        apiType = 'tags';
     }
 
-    const blobsMatch = cleanPath.match(/^(.+?)\/blobs\/(.+)$/);
-    if (blobsMatch) {
-        return { imageName: blobsMatch[1], apiType: 'blobs', reference: blobsMatch[2], registryDomain: domain };
+    // 按改写规则映射镜像名后，检测是否包含其他 registry 域名
+    const { domain, remaining } = detectRegistryDomain(name ? rewriteImageName(name) : name);
+    return { imageName: remaining, apiType, reference, registryDomain: domain };
+}
+
+/**
+ * 确定 Registry 的认证质询
+ * 优先探测上游 /v2/，探测失败时回退到配置的 authHost（仅适用于 upstream）
+ * @param {string} upstream - 上游地址，默认使用当前首选的上游
+ */
+async function resolveAuthChallenge(registryDomain, upstream = selectUpstreams(registryDomain)[0]?.host) {
+    const source = getRegistrySource(registryDomain);
+    if (!upstream) {
+        return null;
     }
 
-    const tagsMatch = cleanPath.match(/^(.+?)\/tags\/list$/);
-    if (tagsMatch) {
-        return { imageName: tagsMatch[1], apiType: 'tags', reference: '', registryDomain: domain };
+    const challenge = await discoverAuthChallenge(upstream);
+    if (challenge) {
+        return challenge;
     }
 
-    return { imageName: cleanPath, apiType: '', reference: '', registryDomain: domain };
+    if (upstream !== source.upstream) {
+        return null;
+    }
+    if (source.authHost) {
+        return { scheme: 'bearer', params: { realm: `https://${source.authHost}` } };
+    }
+    if (!registryDomain) {
+        return { scheme: 'bearer', params: { realm: `https://${DOCKER_HUB_AUTH}/token`, service: 'registry.docker.io' } };
+    }
+    return null;
 }
 
 /**
  * 获取 Docker Auth Token
+ * 根据上游质询中的 realm 与 service 获取 Bearer Token，各上游的 Token 分别缓存
  */
-async function getAuthToken(scope, registryDomain = null) {
-    const cacheKey = `token:${registryDomain || 'docker'}:${scope}`;
+async function getAuthToken(scope, registryDomain = null, upstream = selectUpstreams(registryDomain)[0]?.host) {
+    // 配置了静态 Bearer Token 时直接使用
+    const credentials = getRegistryCredentials(registryDomain, upstream);
+    if (credentials.token) {
+        return credentials.token;
+    }
+
+    const cacheKey = `token:${registryDomain || 'docker'}:${upstream}:${scope}`;
     const cached = tokenCache.get(cacheKey);
     if (cached) {
         return cached;
     }
 
-    let authUrl;
-    if (registryDomain) {
-        const mapping = getRegistryMapping(registryDomain);
-        if (mapping) {
-            // 根据 authType 构建认证 URL
-            switch (mapping.authType) {
-                case 'github':
-                    authUrl = `https://ghcr.io/token?scope=${encodeURIComponent(scope)}`;
-                    break;
-                case 'google':
-                    authUrl = `https://gcr.io/v2/token?scope=${encodeURIComponent(scope)}`;
-                    break;
-                case 'quay':
-                    authUrl = `https://quay.io/v2/auth?scope=${encodeURIComponent(scope)}`;
-                    break;
-                case 'anonymous':
-                    return null; // 匿名访问
-                default:
-                    authUrl = `https://${mapping.authHost}?scope=${encodeURIComponent(scope)}`;
-            }
-        }
+    // 显式配置为匿名的 Registry 不获取 Token
+    const mapping = registryDomain ? getRegistryMapping(registryDomain) : null;
+    if (mapping?.authType === 'anonymous') {
+        return null;
     }
 
-    if (!authUrl) {
-        // Docker Hub 认证
-        authUrl = `https://${DOCKER_HUB_AUTH}/token?service=registry.docker.io&scope=${encodeURIComponent(scope)}`;
-    }
+    // 相同 scope 的并发请求只获取一次 Token
+    return tokenFlights.do(cacheKey, async () => {
+        const challenge = await resolveAuthChallenge(registryDomain, upstream);
+        if (!challenge || challenge.scheme !== 'bearer' || !challenge.params.realm) {
+            return null;
+        }
 
-    try {
-        const response = await fetch(authUrl);
-        if (response.ok) {
-            const data = await response.json();
-            const token = data.token || data.access_token;
-            if (token) {
-                tokenCache.set(cacheKey, token, 15 * 60 * 1000); // 缓存 15 分钟
-                return token;
+        const authUrl = new URL(challenge.params.realm);
+        if (challenge.params.service) {
+            authUrl.searchParams.set('service', challenge.params.service);
+        }
+        authUrl.searchParams.set('scope', scope);
+
+        // 配置了用户名密码时以 Basic 认证获取 Token
+        const fetchOptions = {};
+        if (credentials.username && credentials.password) {
+            const basic = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+            fetchOptions.headers = { Authorization: `Basic ${basic}` };
+            authUrl.searchParams.set('account', credentials.username);
+        }
+
+        try {
+            const response = await fetch(authUrl.toString(), fetchOptions);
+            if (response.ok) {
+                const data = await response.json();
+                const token = data.token || data.access_token;
+                if (token) {
+                    // 缓存 15 分钟，上游给出的有效期更短时提前 30 秒过期
+                    let ttl = 15 * 60 * 1000;
+                    if (data.expires_in > 60) {
+                        ttl = Math.min(ttl, (data.expires_in - 30) * 1000);
+                    }
+                    tokenCache.set(cacheKey, token, ttl);
+                    return token;
+                }
+            } else {
+                console.error(`获取 Auth Token 失败: ${upstream} 返回 ${response.status}`);
             }
+        } catch (error) {
+            console.error(`获取 Auth Token 失败: ${error.message}`);
         }
-    } catch (error) {
-        console.error(`获取 Auth Token 失败: ${error.message}`);
-    }
 
-    return null;
+        return null;
+    });
 }
 
 /**
- * 构建上游 Registry URL
+ * 获取上游请求的 Authorization 头
+ * Bearer 质询使用 Token，Basic 质询直接使用配置的用户名密码
  */
-function buildUpstreamURL(registryDomain, imageName, apiType, reference) {
-    let upstream = DOCKER_HUB_REGISTRY;
-
-    if (registryDomain) {
-        const mapping = getRegistryMapping(registryDomain);
-        if (mapping) {
-            upstream = mapping.upstream;
+async function getUpstreamAuthorization(scope, registryDomain = null, upstream = selectUpstreams(registryDomain)[0]?.host) {
+    const credentials = getRegistryCredentials(registryDomain, upstream);
+    if (!credentials.token && credentials.username && credentials.password) {
+        const challenge = await resolveAuthChallenge(registryDomain, upstream);
+        if (challenge?.scheme === 'basic') {
+            const basic = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+            return `Basic ${basic}`;
         }
     }
 
+    const token = await getAuthToken(scope, registryDomain, upstream);
+    return token ? `Bearer ${token}` : null;
+}
+
+/**
+ * 构建上游 Registry 路径
+ */
+function buildUpstreamPath(registryDomain, imageName, apiType, reference) {
     // 对于 Docker Hub，没有命名空间的镜像需要添加 library/
     if (!registryDomain && !imageName.includes('/')) {
         imageName = `library/${imageName}`;
     }
 
-    let url = `https://${upstream}/v2/${imageName}`;
+    let upstreamPath = `/v2/${imageName}`;
 
     if (apiType === 'manifests') {
-        url += `/manifests/${reference}`;
+        upstreamPath += `/manifests/${reference}`;
     } else if (apiType === 'blobs') {
-        url += `/blobs/${reference}`;
+        upstreamPath += `/blobs/${reference}`;
+    } else if (apiType === 'referrers') {
+        upstreamPath += `/referrers/${reference}`;
     } else if (apiType === 'tags') {
-        url += '/tags/list';
+        upstreamPath += '/tags/list';
     }
 
-    return url;
+    return upstreamPath;
+}
+
+/**
+ * 请求上游 Registry
+ * 按顺序尝试可用的上游，连接失败或返回 5xx 时记录故障并切换到下一个上游
+ * @param {object} request - { registryDomain, path, scope, clientAuthorization, headers }
+ *   clientAuthorization 为客户端通过 /token 自行获取的凭据，只发送给首选上游
+ * @param {object} options - 传给 fetch 的其他选项
+ */
+async function fetchRegistry(request, options = {}) {
+    const endpoints = selectUpstreams(request.registryDomain);
+    let lastError = new Error('没有可用的上游');
+
+    for (let i = 0; i < endpoints.length; i++) {
+        const { host } = endpoints[i];
+        const isLast = i === endpoints.length - 1;
+        try {
+            const headers = { ...request.headers };
+            const authorization = i === 0 && request.clientAuthorization
+                ? request.clientAuthorization
+                : await getUpstreamAuthorization(request.scope, request.registryDomain, host);
+            if (authorization) {
+                headers['Authorization'] = authorization;
+            }
+
+            const response = await fetch(`https://${host}${request.path}`, { redirect: 'follow', ...options, headers });
+            if (response.status < 500) {
+                reportUpstreamSuccess(host);
+                return response;
+            }
+            reportUpstreamFailure(host, `返回 ${response.status}`);
+            if (isLast) {
+                return response;
+            }
+            response.body.resume();
+        } catch (error) {
+            reportUpstreamFailure(host, error.message);
+            lastError = error;
+        }
+        if (!isLast) {
+            console.warn(`上游 ${host} 不可用，切换到 ${endpoints[i + 1].host}`);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * 获取请求的凭据标识
+ * 客户端自带的上游凭据可能访问私有镜像，由它获取的内容不写入共享缓存，按凭据的摘要区分
+ * 返回: 使用代理配置的凭据时为空字符串
+ */
+function getCredentialKey(request) {
+    if (!request.clientAuthorization) {
+        return '';
+    }
+    return crypto.createHash('sha256').update(request.clientAuthorization).digest('hex');
+}
+
+/**
+ * 构建合并并发上游请求的键，与具体使用哪个上游无关
+ */
+function buildFlightKey(request) {
+    return `${request.registryDomain || 'docker.io'}${request.path}|${request.headers?.Accept || ''}|${request.clientAuthorization || ''}`;
+}
+
+/**
+ * 构建拉取权限的 scope
+ */
+function buildPullScope(registryDomain, imageName) {
+    const name = registryDomain || imageName.includes('/') ? imageName : `library/${imageName}`;
+    return `repository:${name}:pull`;
+}
+
+/**
+ * 构建标签映射的缓存键
+ */
+function buildTagKey(registryDomain, imageName, reference) {
+    return `tag:${registryDomain || 'docker.io'}/${imageName}:${reference}`;
+}
+
+/**
+ * 从磁盘缓存返回 Blob，支持 Range 请求
+ */
+function serveCachedBlob(req, res, digest, entry) {
+    sendFileRange(req, res, entry.file, entry.size, {
+        'Content-Type': 'application/octet-stream',
+        'Docker-Content-Digest': digest,
+        'ETag': `"${digest}"`,
+        'X-Cache': 'HIT',
+    });
+}
+
+/**
+ * 返回进行中的 Blob 下载，上游已给出长度时支持 Range 请求
+ */
+function serveBlobDownload(req, res, digest, download) {
+    const size = parseInt(download.headers['content-length'], 10);
+    const range = Number.isNaN(size) ? null : resolveRange(req, size, `"${digest}"`);
+
+    if (range && range.unsatisfiable) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+    if (range) {
+        res.set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+            'Content-Length': String(range.end - range.start + 1),
+        });
+        res.status(206);
+    }
+    res.set({ 'Accept-Ranges': 'bytes', 'ETag': `"${digest}"` });
+
+    // 客户端断开不影响上游下载，其他请求仍可继续跟随
+    download.writer.follow(range || {})
+        .on('error', (error) => {
+            console.error(`Blob ${digest} 传输失败: ${error.message}`);
+            res.destroy(error);
+        })
+        .pipe(res);
+}
+
+/**
+ * 检查客户端 Accept 头是否接受指定的媒体类型
+ */
+function acceptsMediaType(accept, mediaType) {
+    if (!accept) {
+        return true;
+    }
+    return accept.split(',').some((item) => {
+        const type = item.split(';')[0].trim().toLowerCase();
+        return type === '*/*' || type === mediaType;
+    });
+}
+
+/**
+ * 查找缓存的 Manifest
+ * 标签引用需在 TTL 内，allowStale 为 true 时忽略 TTL（上游不可用时使用）
+ */
+async function lookupManifest(cache, tagKey, reference, accept, allowStale) {
+    let digest = reference;
+
+    if (!isSha256Digest(reference)) {
+        const tag = cache.get(tagKey);
+        if (!tag) {
+            return null;
+        }
+        const ttl = getConfig().manifestCache.tagTTL * 1000;
+        if (!allowStale && Date.now() - tag.meta.fetchedAt > ttl) {
+            return null;
+        }
+        digest = tag.meta.digest;
+    }
+
+    const manifest = await cache.read(digest);
+    if (!manifest || !acceptsMediaType(accept, manifest.meta.contentType)) {
+        return null;
+    }
+    return manifest;
+}
+
+/**
+ * 缓存 Manifest 内容，标签引用同时记录标签到摘要的映射
+ */
+async function storeManifest(cache, tagKey, reference, data, contentType) {
+    const digest = `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`;
+    if (isSha256Digest(reference) && digest !== reference) {
+        console.error(`Manifest 摘要不匹配: 期望 ${reference}，实际 ${digest}`);
+        return;
+    }
+
+    await cache.write(digest, data, { digest, contentType });
+    if (!isSha256Digest(reference)) {
+        await cache.write(tagKey, Buffer.from(digest), { digest, contentType, fetchedAt: Date.now() });
+    }
+}
+
+/**
+ * 将缓存条目转换为 { data, contentType, digest }
+ */
+function toManifest(cached) {
+    return { data: cached.data, contentType: cached.meta.contentType, digest: cached.meta.digest };
+}
+
+/**
+ * 返回缓存的 Manifest
+ * @param {object} manifest - { data, contentType, digest }
+ */
+function sendCachedManifest(req, res, manifest, cacheStatus) {
+    const { data, contentType, digest } = manifest;
+    res.set({
+        'Content-Type': contentType,
+        'Content-Length': String(data.length),
+        'Docker-Content-Digest': digest,
+        'ETag': `"${digest}"`,
+        'X-Cache': cacheStatus,
+    });
+    if (cacheStatus === 'STALE') {
+        res.set('Warning', '110 hubproxy "Response is stale: upstream unavailable"');
+    }
+    res.status(200);
+    return req.method === 'HEAD' ? res.end() : res.end(data);
+}
+
+/**
+ * 将上游响应头转换为普通对象
+ */
+function headersToObject(headers) {
+    const result = {};
+    for (const [key, value] of headers.entries()) {
+        result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * 构建返回给客户端的响应头
+ * 过滤逐跳头并将 www-authenticate 的 realm 重写为代理地址，
+ * 非 Docker Hub 的 Registry 在 realm 路径中携带域名，便于 /token 路由到正确的认证服务
+ */
+function buildResponseHeaders(req, upstreamHeaders, registryDomain) {
+    const responseHeaders = {};
+    for (const [key, value] of Object.entries(upstreamHeaders)) {
+        if (!['transfer-encoding', 'connection', 'www-authenticate'].includes(key.toLowerCase())) {
+            responseHeaders[key] = value;
+        }
+    }
+
+    const wwwAuth = upstreamHeaders['www-authenticate'];
+    if (wwwAuth) {
+        const proxyHost = req.headers['x-forwarded-host'] || req.headers.host || '';
+        const scheme = req.headers['x-forwarded-proto'] || 'https';
+        const tokenPath = registryDomain ? `/token/${registryDomain}` : '/token';
+        responseHeaders['www-authenticate'] = wwwAuth.replace(
+            /realm="[^"]+"/,
+            `realm="${scheme}://${proxyHost}${tokenPath}"`
+        );
+    }
+
+    return responseHeaders;
+}
+
+/**
+ * 从上游获取 Manifest 并缓存
+ * 返回缓冲后的结果，供合并的并发请求共享
+ */
+async function fetchManifest(request, cache, tagKey, reference) {
+    const response = await fetchRegistry(request, {
+        timeout: getConfig().manifestCache.upstreamTimeout * 1000,
+    });
+    const data = await response.buffer();
+
+    if (cache && response.status === 200) {
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+        try {
+            await storeManifest(cache, tagKey, reference, data, contentType);
+        } catch (error) {
+            console.error(`Manifest 缓存写入失败: ${error.message}`);
+        }
+    }
+
+    return { status: response.status, headers: headersToObject(response.headers), data };
+}
+
+/**
+ * 开始从上游下载 Blob 到磁盘缓存
+ * 成功时返回进行中的下载，所有请求者跟随同一临时文件读取
+ * @param {string} repository - 发起下载的完整镜像名，记录在缓存元数据中
+ */
+async function startBlobDownload(request, digest, cache, repository) {
+    const response = await fetchRegistry(request);
+    const result = { status: response.status, headers: headersToObject(response.headers), repository };
+
+    if (response.status !== 200) {
+        result.data = await response.buffer();
+        return result;
+    }
+
+    const writer = cache.createWriter(digest, { digest, meta: { repository } });
+    writer.on('error', (error) => {
+        console.error(`Blob ${digest} 缓存写入失败: ${error.message}`);
+    });
+    writer.on('close', () => {
+        if (activeDownloads.get(digest) === result) {
+            activeDownloads.delete(digest);
+        }
+    });
+    response.body.on('error', error => writer.destroy(error));
+    response.body.pipe(writer);
+
+    result.writer = writer;
+    activeDownloads.set(digest, result);
+    return result;
+}
+
+/**
+ * 检查缓存或进行中下载的 Blob 能否返回给请求的镜像
+ * 缓存只按摘要区分，为其他镜像（可能是私有仓库）下载的内容须先以当前请求的凭据向上游确认
+ * @param {string} fetchedFor - 下载该 Blob 时的完整镜像名
+ */
+async function canUseCachedBlob(request, fullImageName, digest, fetchedFor) {
+    const key = `${fullImageName}@${digest}|${getCredentialKey(request)}`;
+    if (fetchedFor === fullImageName || blobAccess.get(key)) {
+        return true;
+    }
+
+    try {
+        const response = await fetchRegistry(request, {
+            method: 'HEAD',
+            timeout: getConfig().manifestCache.upstreamTimeout * 1000,
+        });
+        response.body.resume();
+        if (response.status === 200) {
+            blobAccess.set(key, true);
+            return true;
+        }
+        console.log(`Blob ${digest} 未能通过 ${fullImageName} 访问: 上游返回 ${response.status}`);
+    } catch (error) {
+        console.error(`确认 Blob ${digest} 的访问权限失败: ${error.message}`);
+    }
+    return false;
+}
+
+/**
+ * 后台获取不允许平台的子 Manifest，记录其引用的 Blob 以便拒绝
+ */
+function learnDeniedBlobs(registryDomain, imageName, digests) {
+    for (const digest of digests) {
+        if (learnedManifests.get(digest)) {
+            continue;
+        }
+        learnedManifests.set(digest, true);
+
+        getManifest(registryDomain, imageName, digest)
+            .then((manifest) => {
+                const parsed = parseManifest(manifest.data);
+                if (parsed) {
+                    recordImageManifest(digest, parsed);
+                }
+            })
+            .catch((error) => {
+                learnedManifests.delete(digest);
+                console.error(`获取平台 Manifest ${digest} 失败: ${error.message}`);
+            });
+    }
+}
+
+/**
+ * 对返回给客户端的 Manifest 应用平台策略
+ * 按标签拉取的多平台清单会移除不允许的平台，过滤结果连同来源清单与标签持久保存，供客户端随后按摘要拉取
+ * @param {object} manifest - { data, contentType, digest }
+ * @param {string} credential - 获取清单使用的凭据标识，见 getCredentialKey
+ * 返回: 处理后的 manifest，或 { denied: reason }
+ */
+async function applyPlatformPolicy(registryDomain, imageName, reference, manifest, credential) {
+    // 签名与引用列表标签中的条目没有平台信息，保持原样
+    const parsed = parseSubjectTag(reference) ? null : parseManifest(manifest.data);
+    if (!parsed) {
+        return manifest;
+    }
+
+    if (!isManifestList(parsed, manifest.contentType)) {
+        recordImageManifest(manifest.digest, parsed);
+        return manifest;
+    }
+
+    const removed = recordManifestList(parsed);
+    if (removed.length > 0) {
+        learnDeniedBlobs(registryDomain, imageName, removed);
+    }
+
+    // 按摘要拉取时必须返回原始内容；过滤结果依赖 Manifest 缓存才能按新摘要拉取
+    const cache = getManifestCache();
+    const filtered = isSha256Digest(reference) || !cache ? null : filterManifestList(parsed);
+    if (!filtered) {
+        return manifest;
+    }
+    if (filtered.empty) {
+        return { denied: '该镜像没有允许的平台' };
+    }
+
+    const fullImageName = registryDomain ? `${registryDomain}/${imageName}` : imageName;
+    const store = getFilteredManifests();
+    const key = `${fullImageName}@${filtered.digest}`;
+    if (!store.has(key)) {
+        await store.write(key, filtered.data, {
+            digest: filtered.digest,
+            contentType: manifest.contentType,
+            source: manifest.digest,
+            reference,
+            credential,
+        });
+    }
+    return { data: filtered.data, contentType: manifest.contentType, digest: filtered.digest };
+}
+
+/**
+ * 读取 Blob 的完整内容（签名载荷等小文件），优先使用磁盘缓存
+ */
+async function fetchBlobData(registryDomain, imageName, digest, maxSize) {
+    const entry = getBlobCache()?.get(digest);
+    if (entry) {
+        return fs.promises.readFile(entry.file);
+    }
+
+    const response = await fetchRegistry({
+        registryDomain,
+        path: buildUpstreamPath(registryDomain, imageName, 'blobs', digest),
+        scope: buildPullScope(registryDomain, imageName),
+    }, {
+        size: maxSize,
+        timeout: getConfig().manifestCache.upstreamTimeout * 1000,
+    });
+    if (!response.ok) {
+        throw new Error(`获取 Blob ${digest} 失败: 上游返回 ${response.status}`);
+    }
+
+    const data = await response.buffer();
+    if (`sha256:${crypto.createHash('sha256').update(data).digest('hex')}` !== digest) {
+        throw new Error(`Blob ${digest} 摘要校验失败`);
+    }
+    return data;
+}
+
+/**
+ * 校验返回给客户端的 Manifest 的 cosign 签名
+ * 签名、SBOM 等附属制品本身没有签名，其指向的镜像通过校验时放行
+ * 返回: { allowed, reason, verified }
+ */
+async function verifyManifestSignature(registryDomain, imageName, reference, manifest) {
+    const fullImageName = registryDomain ? `${registryDomain}/${imageName}` : imageName;
+    // 策略按 Docker Hub 官方镜像的完整名称匹配，例如 library/nginx
+    const policyName = !registryDomain && !imageName.includes('/') ? `library/${imageName}` : fullImageName;
+    const policy = findSignaturePolicy(policyName);
+    if (!policy) {
+        return { allowed: true, reason: '', verified: false };
+    }
+
+    // 附属制品校验其指向的镜像；代理按平台过滤生成的清单没有签名，校验其来源清单
+    const subject = findArtifactSubject(reference, parseManifest(manifest.data));
+    const source = subject ? null : getFilteredManifests()?.get(`${fullImageName}@${manifest.digest}`)?.meta.source;
+    const result = await verifyImageSignature(fullImageName, subject || source || manifest.digest, policy, {
+        manifest: tag => getManifest(registryDomain, imageName, tag),
+        blob: (digest, maxSize) => fetchBlobData(registryDomain, imageName, digest, maxSize),
+    });
+    return { ...result, verified: result.allowed && !subject };
+}
+
+/**
+ * 处理返回给客户端的 Manifest：校验签名、应用平台策略，并记录摘要对应的引用供访问规则使用
+ * @param {object} manifest - { data, contentType, digest }
+ * @param {string} [credential] - 获取清单使用的凭据标识，来自缓存时为空
+ * 返回: 处理后的 manifest，或 { denied: reason }
+ */
+async function prepareManifest(registryDomain, imageName, reference, manifest, credential = '') {
+    const signature = await verifyManifestSignature(registryDomain, imageName, reference, manifest);
+    if (!signature.allowed) {
+        console.log(`Docker 镜像签名校验未通过: ${signature.reason}`);
+        return { denied: signature.reason };
+    }
+
+    const result = await applyPlatformPolicy(registryDomain, imageName, reference, manifest, credential);
+    if (result.denied) {
+        return result;
+    }
+
+    const fullImageName = registryDomain ? `${registryDomain}/${imageName}` : imageName;
+    const parsed = parseManifest(result.data);
+    const digests = [result.digest, ...(parsed?.manifests || []).map(entry => entry.digest)];
+    recordManifestReferences(fullImageName, reference, digests);
+    if (signature.verified) {
+        markVerified(fullImageName, digests);
+    }
+    return result;
+}
+
+/**
+ * 获取镜像的引用列表（签名、SBOM 等）
+ * 优先使用上游的 Referrers API，上游不支持时回退到 tag schema（sha256-<hex> 标签）
+ * 返回: { status, index, filtered }
+ */
+async function fetchReferrers(request, imageName, digest, artifactType) {
+    const { registryDomain } = request;
+    const options = { timeout: getConfig().manifestCache.upstreamTimeout * 1000 };
+    const headers = { Accept: INDEX_MEDIA_TYPE };
+
+    let referrersPath = buildUpstreamPath(registryDomain, imageName, 'referrers', digest);
+    if (artifactType) {
+        referrersPath += `?artifactType=${encodeURIComponent(artifactType)}`;
+    }
+    const response = await fetchRegistry({ ...request, path: referrersPath, headers }, options);
+    if (response.ok) {
+        const index = await response.json();
+        // 上游已按 artifactType 过滤时不再重复过滤
+        if ((response.headers.get('oci-filters-applied') || '').includes('artifactType')) {
+            return { status: 200, index, filtered: true };
+        }
+        return { status: 200, ...filterReferrers(index, artifactType) };
+    }
+    if (![400, 404, 405, 501].includes(response.status)) {
+        return { status: response.status };
+    }
+
+    // 上游不支持 Referrers API，读取 tag schema 的引用列表
+    const tagPath = buildUpstreamPath(registryDomain, imageName, 'manifests', buildSubjectTag(digest));
+    const tagResponse = await fetchRegistry({ ...request, path: tagPath, headers }, options);
+    if (tagResponse.ok) {
+        return { status: 200, ...filterReferrers(await tagResponse.json(), artifactType) };
+    }
+    if (tagResponse.status === 404) {
+        return { status: 200, ...filterReferrers(buildReferrersIndex([]), artifactType) };
+    }
+    return { status: tagResponse.status };
+}
+
+/**
+ * 返回镜像的引用列表
+ * 列表中的制品摘要记录为引用该镜像，按摘要拉取时沿用镜像的访问规则
+ */
+async function sendReferrers(req, res, request, imageName, digest) {
+    const { registryDomain } = request;
+    if (!isSha256Digest(digest)) {
+        return res.status(400).json({ errors: [{ code: 'DIGEST_INVALID', message: `无效的摘要: ${digest}`, detail: null }] });
+    }
+
+    const artifactType = req.query.artifactType ? String(req.query.artifactType) : '';
+    const result = await fetchReferrers(request, imageName, digest, artifactType);
+    if (!result.index) {
+        return res.status(result.status).json({ error: `获取引用列表失败: 上游返回 ${result.status}` });
+    }
+
+    const fullImageName = registryDomain ? `${registryDomain}/${imageName}` : imageName;
+    recordManifestReferences(fullImageName, digest, (result.index.manifests || []).map(entry => entry.digest));
+
+    const data = Buffer.from(JSON.stringify(result.index));
+    res.set({
+        'Content-Type': INDEX_MEDIA_TYPE,
+        'Content-Length': String(data.length),
+    });
+    if (result.filtered) {
+        res.set('OCI-Filters-Applied', 'artifactType');
+    }
+    res.status(200).end(req.method === 'HEAD' ? undefined : data);
+}
+
+/**
+ * 获取 Manifest（优先使用缓存），供后台任务使用
+ * 返回: { data, contentType, digest }
+ */
+async function getManifest(registryDomain, imageName, reference) {
+    const cache = getManifestCache();
+    const tagKey = buildTagKey(registryDomain, imageName, reference);
+
+    if (cache) {
+        const cached = await lookupManifest(cache, tagKey, reference, null, false);
+        if (cached) {
+            return toManifest(cached);
+        }
+    }
+
+    const request = {
+        registryDomain,
+        path: buildUpstreamPath(registryDomain, imageName, 'manifests', reference),
+        scope: buildPullScope(registryDomain, imageName),
+        headers: { Accept: MANIFEST_MEDIA_TYPES.join(', ') },
+    };
+    const result = await manifestFlights.do(
+        buildFlightKey(request),
+        () => fetchManifest(request, cache, tagKey, reference)
+    );
+    if (result.status !== 200) {
+        throw new Error(`获取 Manifest ${imageName}:${reference} 失败: 上游返回 ${result.status}`);
+    }
+
+    return {
+        data: result.data,
+        contentType: (result.headers['content-type'] || '').split(';')[0].trim(),
+        digest: `sha256:${crypto.createHash('sha256').update(result.data).digest('hex')}`,
+    };
+}
+
+/**
+ * 确保 Blob 已下载到磁盘缓存，供后台任务使用
+ * 返回 Blob 大小（字节）
+ */
+async function ensureBlobCached(registryDomain, imageName, digest) {
+    const cache = getBlobCache();
+    if (!cache) {
+        throw new Error('Blob 缓存未启用');
+    }
+
+    const entry = cache.get(digest);
+    if (entry) {
+        return entry.size;
+    }
+
+    let result = activeDownloads.get(digest);
+    if (!result) {
+        const request = {
+            registryDomain,
+            path: buildUpstreamPath(registryDomain, imageName, 'blobs', digest),
+            scope: buildPullScope(registryDomain, imageName),
+        };
+        const repository = registryDomain ? `${registryDomain}/${imageName}` : imageName;
+        result = await blobFlights.do(digest, () => startBlobDownload(request, digest, cache, repository));
+    }
+    if (!result.writer) {
+        throw new Error(`下载 Blob ${digest} 失败: 上游返回 ${result.status}`);
+    }
+
+    // 等待下载完成并提交到缓存
+    const writer = result.writer;
+    if (writer.destroyed && !writer.committed) {
+        throw new Error(`下载 Blob ${digest} 中断`);
+    }
+    if (!writer.committed) {
+        await new Promise((resolve, reject) => {
+            writer.once('finish', resolve);
+            writer.once('close', () => (writer.committed ? resolve() : reject(new Error(`下载 Blob ${digest} 中断`))));
+        });
+    }
+    return writer.bytesWritten;
 }
 
 /**
@@ -176,69 +1039,212 @@ async function proxyDockerRegistry(req, res) {
 
     // 检查访问权限
     const fullImageName = registryDomain ? `${registryDomain}/${imageName}` : imageName;
-    const { allowed, reason } = checkDockerAccess(fullImageName);
+    // 按平台过滤生成的清单沿用得到它的标签判定版本规则
+    if (apiType === 'manifests' && isSha256Digest(reference)) {
+        const filtered = getFilteredManifests()?.get(`${fullImageName}@${reference}`);
+        if (filtered) {
+            recordManifestReferences(fullImageName, filtered.meta.reference, [reference]);
+        }
+    }
+    const hasReference = apiType === 'manifests' || apiType === 'referrers';
+    const { allowed, reason } = checkDockerAccess(fullImageName, hasReference ? reference : '');
     if (!allowed) {
         console.log(`Docker 镜像 ${fullImageName} 访问被拒绝: ${reason}`);
         return res.status(403).json({ error: reason });
     }
 
-    // 构建上游 URL
-    const upstreamURL = buildUpstreamURL(registryDomain, imageName, apiType, reference);
+    const userAccess = checkUserAccess(req.user, fullImageName);
+    if (!userAccess.allowed) {
+        console.log(`Docker 镜像 ${fullImageName} 访问被拒绝: ${userAccess.reason}`);
+        return res.status(403).json({ error: userAccess.reason });
+    }
+
+    // 拒绝已知属于不允许平台的 Manifest 与 Blob
+    if (isSha256Digest(reference) && (apiType === 'manifests' || apiType === 'blobs')) {
+        const platformAccess = apiType === 'manifests' ? checkManifestPlatform(reference) : checkBlobPlatform(reference);
+        if (!platformAccess.allowed) {
+            console.log(`Docker 镜像 ${fullImageName}@${reference} 访问被拒绝: ${platformAccess.reason}`);
+            return res.status(403).json({ error: platformAccess.reason });
+        }
+    }
+
+    const isRead = req.method === 'GET' || req.method === 'HEAD';
+
+    // 客户端通过 /token 自行完成认证后携带的上游 Token 优先使用，否则使用配置的凭据获取
+    // 启用代理认证时客户端携带的是代理 Token，不转发给上游；由客户端凭据获取的内容不写入共享缓存
+    const clientAuth = isAuthRequired('docker') ? '' : (req.headers.authorization || '');
+    const request = {
+        registryDomain,
+        path: buildUpstreamPath(registryDomain, imageName, apiType, reference),
+        scope: buildPullScope(registryDomain, imageName),
+        clientAuthorization: /^Bearer\s/i.test(clientAuth) ? clientAuth : '',
+    };
+
+    // Blob 按摘要寻址，命中磁盘缓存时直接返回；上游未确认当前镜像可以访问时不使用缓存
+    let cache = apiType === 'blobs' && isSha256Digest(reference) ? getBlobCache() : null;
+    if (cache && isRead) {
+        const entry = cache.get(reference);
+        if (entry) {
+            if (await canUseCachedBlob(request, fullImageName, reference, entry.meta.repository)) {
+                return serveCachedBlob(req, res, reference, entry);
+            }
+            cache = null;
+        }
+    }
+
+    // 摘要引用的 Manifest 永久缓存，标签引用在 TTL 内直接返回
+    const manifestCache = apiType === 'manifests' && isRead ? getManifestCache() : null;
+    const tagKey = buildTagKey(registryDomain, imageName, reference);
+    if (manifestCache) {
+        const cached = await lookupManifest(manifestCache, tagKey, reference, req.headers.accept, false) ||
+            await lookupFilteredManifest(fullImageName, reference, req.headers.accept, getCredentialKey(request));
+        if (cached) {
+            const manifest = await prepareManifest(registryDomain, imageName, reference, toManifest(cached));
+            if (manifest.denied) {
+                return res.status(403).json({ error: manifest.denied });
+            }
+            return sendCachedManifest(req, res, manifest, 'HIT');
+        }
+    }
+
+    // 启用平台过滤或版本规则时，标签的 HEAD 请求也需要完整内容，以计算过滤后的摘要并记录子 Manifest
+    const needsManifestBody = apiType === 'manifests' && (req.method === 'GET' ||
+        (req.method === 'HEAD' && !isSha256Digest(reference) &&
+            ((!!manifestCache && getAllowedPlatforms().length > 0) || hasDockerVersionRules())));
 
     try {
-        // 获取认证 Token
-        const scope = `repository:${registryDomain ? imageName : (imageName.includes('/') ? imageName : `library/${imageName}`)}:pull`;
-        const token = await getAuthToken(scope, registryDomain);
+        if (apiType === 'referrers') {
+            return await sendReferrers(req, res, request, imageName, reference);
+        }
 
         // 构建请求头
         const headers = {};
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
+        request.headers = headers;
 
         // 复制客户端的 Accept 头
         if (req.headers.accept) {
             headers['Accept'] = req.headers.accept;
         } else if (apiType === 'manifests') {
-            headers['Accept'] = [
-                'application/vnd.docker.distribution.manifest.v2+json',
-                'application/vnd.docker.distribution.manifest.list.v2+json',
-                'application/vnd.oci.image.manifest.v1+json',
-                'application/vnd.oci.image.index.v1+json',
-            ].join(', ');
+            headers['Accept'] = MANIFEST_MEDIA_TYPES.join(', ');
         }
 
-        const response = await fetch(upstreamURL, {
-            method: req.method,
-            headers,
-            redirect: 'follow',
-        });
+        // 转发断点续传相关请求头
+        if (apiType === 'blobs') {
+            for (const name of ['range', 'if-range']) {
+                if (req.headers[name]) {
+                    headers[name] = req.headers[name];
+                }
+            }
+        }
 
-        // 复制响应头
-        const responseHeaders = {};
-        for (const [key, value] of response.headers.entries()) {
-            if (!['transfer-encoding', 'connection', 'www-authenticate'].includes(key.toLowerCase())) {
-                responseHeaders[key] = value;
+        // 直接透传上游响应，不经过缓存
+        const fetchDirect = async () => {
+            const response = await fetchRegistry(request, {
+                method: req.method,
+                timeout: manifestCache ? getConfig().manifestCache.upstreamTimeout * 1000 : 0,
+            });
+            return { status: response.status, headers: headersToObject(response.headers), body: response.body };
+        };
+
+        // 相同内容的并发请求合并为一次上游请求
+        let result = null;
+        let upstreamError = null;
+        try {
+            // 没有进行中的下载时，Range 请求直接透传给上游
+            const activeDownload = cache && req.method === 'GET' ? activeDownloads.get(reference) : null;
+            if (activeDownload) {
+                result = activeDownload;
+            } else if (cache && req.method === 'GET' && !req.headers.range && !request.clientAuthorization) {
+                result = await blobFlights.do(
+                    reference,
+                    () => startBlobDownload(request, reference, cache, fullImageName)
+                );
+            } else if (needsManifestBody) {
+                result = await manifestFlights.do(
+                    buildFlightKey(request),
+                    () => fetchManifest(request, request.clientAuthorization ? null : manifestCache, tagKey, reference)
+                );
+            } else {
+                result = await fetchDirect();
             }
+
+            // 合并的下载可能由其他镜像发起，其失败结果不代表当前镜像，重新向上游请求
+            if (result.repository && result.repository !== fullImageName &&
+                (!result.writer || !(await canUseCachedBlob(request, fullImageName, reference, result.repository)))) {
+                cache = null;
+                result = await fetchDirect();
+            }
+        } catch (error) {
+            upstreamError = error;
+        }
+
+        // 上游超时或返回 5xx 时，使用最近一次获取的 Manifest
+        if (manifestCache && (!result || result.status >= 500)) {
+            const stale = await lookupManifest(manifestCache, tagKey, reference, req.headers.accept, true);
+            if (stale) {
+                console.warn(`上游不可用，返回过期 Manifest: ${fullImageName}:${reference}`);
+                const manifest = await prepareManifest(registryDomain, imageName, reference, toManifest(stale));
+                if (manifest.denied) {
+                    return res.status(403).json({ error: manifest.denied });
+                }
+                return sendCachedManifest(req, res, manifest, 'STALE');
+            }
+        }
+        if (!result) {
+            throw upstreamError;
         }
 
-        // 重写 www-authenticate 头
-        const wwwAuth = response.headers.get('www-authenticate');
-        if (wwwAuth) {
-            const proxyHost = req.headers['x-forwarded-host'] || req.headers.host || '';
-            const scheme = req.headers['x-forwarded-proto'] || 'https';
-            const rewritten = wwwAuth.replace(
-                /realm="[^"]+"/,
-                `realm="${scheme}://${proxyHost}/token"`
-            );
-            responseHeaders['www-authenticate'] = rewritten;
+        const responseHeaders = buildResponseHeaders(req, result.headers, registryDomain);
+        if (cache || manifestCache) {
+            responseHeaders['x-cache'] = 'MISS';
+        }
+
+        // 对上游返回的 Manifest 应用平台策略
+        let responseData = result.data;
+        if (apiType === 'manifests' && result.data && result.status === 200) {
+            const manifest = await prepareManifest(registryDomain, imageName, reference, {
+                data: result.data,
+                contentType: (result.headers['content-type'] || '').split(';')[0].trim(),
+                digest: `sha256:${crypto.createHash('sha256').update(result.data).digest('hex')}`,
+            }, getCredentialKey(request));
+            if (manifest.denied) {
+                return res.status(403).json({ error: manifest.denied });
+            }
+            if (manifest.data !== result.data) {
+                responseHeaders['content-length'] = String(manifest.data.length);
+                responseHeaders['docker-content-digest'] = manifest.digest;
+                responseHeaders['etag'] = `"${manifest.digest}"`;
+                responseData = manifest.data;
+            }
         }
 
         res.set(responseHeaders);
-        res.status(response.status);
+        res.status(result.status);
+
+        // 标签摘要未变化时刷新映射的 TTL
+        if (manifestCache && req.method === 'HEAD' && result.status === 200 && !isSha256Digest(reference)) {
+            const tag = manifestCache.get(tagKey);
+            const digest = result.headers['docker-content-digest'];
+            if (tag && tag.meta.digest === digest) {
+                await manifestCache.write(tagKey, Buffer.from(digest), { ...tag.meta, fetchedAt: Date.now() });
+            }
+        }
+
+        if (result.writer) {
+            // 下载已完成并提交到缓存时直接读取缓存文件
+            const entry = result.writer.committed ? cache.get(reference) : null;
+            if (entry) {
+                return serveCachedBlob(req, res, reference, entry);
+            }
+            return serveBlobDownload(req, res, reference, result);
+        }
+
+        if (responseData) {
+            return res.end(req.method === 'HEAD' ? undefined : responseData);
+        }
 
-        if (response.body) {
-            response.body.pipe(res);
+        if (result.body) {
+            result.body.pipe(res);
         } else {
             res.end();
         }
@@ -249,27 +1255,118 @@ async function proxyDockerRegistry(req, res) {
 }
 
 /**
- * Docker Auth Token 代理
+ * 根据 Token 请求识别目标 Registry
+ * 依次使用路径提示（/token/<registry>）、scope 中的域名前缀、service 名称
+ * 返回: { registryDomain, scopes }，无法识别时 registryDomain 为 undefined
  */
-async function proxyDockerAuth(req, res) {
-    const query = req.query;
-    const scope = query.scope || '';
-    const service = query.service || 'registry.docker.io';
+async function resolveTokenTarget(req) {
+    let registryDomain = req.params[0] ? req.params[0].replace(/\/+$/, '') : null;
+    const rawScopes = [].concat(req.query.scope || []);
 
-    // 构建上游认证 URL
-    const authUrl = new URL(`https://${DOCKER_HUB_AUTH}/token`);
-    authUrl.searchParams.set('service', service);
-    if (scope) {
-        authUrl.searchParams.set('scope', scope);
+    // scope 中的镜像名是客户端看到的代理路径，需要去掉 Registry 前缀
+    const scopes = rawScopes.map((scope) => {
+        const match = scope.match(/^repository:(.+):([^:]+)$/);
+        if (!match) {
+            return scope;
+        }
+
+        let name = rewriteImageName(match[1]);
+        const { domain, remaining } = detectRegistryDomain(name);
+        if (domain && (!registryDomain || registryDomain === domain)) {
+            registryDomain = domain;
+            name = remaining;
+        } else if (!registryDomain && !domain && !name.includes('/')) {
+            name = `library/${name}`;
+        }
+        return `repository:${name}:${match[2]}`;
+    });
+
+    if (registryDomain === 'docker.io') {
+        registryDomain = null;
+    }
+    if (registryDomain && !getRegistryMapping(registryDomain)) {
+        return { registryDomain: undefined, scopes };
+    }
+
+    // 按 service 名称匹配已发现的质询
+    const service = req.query.service;
+    if (!registryDomain && service && service !== 'registry.docker.io') {
+        for (const domain of Object.keys(getConfig().registries || {})) {
+            const challenge = getRegistryMapping(domain) ? await resolveAuthChallenge(domain) : null;
+            if (challenge?.params.service === service) {
+                registryDomain = domain;
+                break;
+            }
+        }
+    }
+
+    return { registryDomain, scopes };
+}
+
+/**
+ * Docker Auth Token 代理
+ * 将客户端的 Token 请求转发到对应 Registry 的认证服务
+ */
+async function proxyDockerAuth(req, res, next) {
+    // 启用代理认证时由代理自行签发 Token
+    if (isAuthRequired('docker')) {
+        return authTokenHandler(req, res, next);
     }
 
     try {
-        const response = await fetch(authUrl.toString());
+        const { registryDomain, scopes } = await resolveTokenTarget(req);
+        if (registryDomain === undefined) {
+            return res.status(404).json({ error: '未知的 Registry' });
+        }
+
+        // Token 发给首选上游，与随后 Registry 请求优先使用的上游一致
+        const upstream = selectUpstreams(registryDomain)[0].host;
+        const challenge = await resolveAuthChallenge(registryDomain, upstream);
+        if (!challenge || challenge.scheme !== 'bearer' || !challenge.params.realm) {
+            return res.status(404).json({ error: '该 Registry 不使用 Token 认证' });
+        }
+
+        // 构建上游认证 URL，service 以上游质询为准
+        const authUrl = new URL(challenge.params.realm);
+        for (const [key, value] of Object.entries(req.query)) {
+            if (key !== 'scope' && key !== 'service') {
+                authUrl.searchParams.set(key, value);
+            }
+        }
+        if (challenge.params.service) {
+            authUrl.searchParams.set('service', challenge.params.service);
+        }
+        for (const scope of scopes) {
+            authUrl.searchParams.append('scope', scope);
+        }
+
+        // 客户端自带凭据（docker login）时透传，否则使用配置的上游凭据
+        const headers = {};
+        const credentials = getRegistryCredentials(registryDomain, upstream);
+        if (req.headers.authorization) {
+            headers['Authorization'] = req.headers.authorization;
+        } else if (credentials.username && credentials.password) {
+            const basic = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+            headers['Authorization'] = `Basic ${basic}`;
+            authUrl.searchParams.set('account', credentials.username);
+        }
+
+        // OAuth2 形式的 POST 请求透传表单内容
+        const isPost = req.method === 'POST';
+        if (isPost && req.headers['content-type']) {
+            headers['Content-Type'] = req.headers['content-type'];
+        }
+
+        const response = await fetch(authUrl.toString(), {
+            method: isPost ? 'POST' : 'GET',
+            headers,
+            body: isPost ? req : undefined,
+        });
         const data = await response.text();
 
         // 复制响应头
         for (const [key, value] of response.headers.entries()) {
-            if (!['transfer-encoding', 'connection'].includes(key.toLowerCase())) {
+            if (!['transfer-encoding', 'connection', 'content-encoding', 'content-length'].includes(key.toLowerCase())) {
                 res.set(key, value);
             }
         }
@@ -291,8 +1388,9 @@ function registerDockerRoutes(app) {
     app.all('/token/*', proxyDockerAuth);
 
     // Registry v2 API 路由
-    app.all('/v2', proxyDockerRegistry);
-    app.all('/v2/*', proxyDockerRegistry);
+    app.all('/v2', requireAuth('docker'), proxyDockerRegistry);
+    // 托管命名空间由本地存储处理，其余只读请求代理到上游
+    app.all('/v2/*', requireAuth('docker'), hostedRegistryHandler, proxyDockerRegistry);
 }
 
 module.exports = {
@@ -300,5 +1398,9 @@ module.exports = {
     proxyDockerRegistry,
     proxyDockerAuth,
     parseRegistryPath,
+    detectRegistryDomain,
     getAuthToken,
+    getUpstreamAuthorization,
+    getManifest,
+    ensureBlobCached,
 };
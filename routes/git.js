@@ -0,0 +1,133 @@
+/**
+ * Git Smart HTTP 代理
+ * 支持通过代理 git clone / fetch GitHub 仓库：
+ *   GET  <仓库>/info/refs?service=git-upload-pack
+ *   POST <仓库>/git-upload-pack
+ * 请求体与 packfile 均流式透传，不做缓冲与解压，支持协议 v2 与 gzip 压缩的请求体
+ */
+
+const fetch = require('node-fetch');
+const { isAuthRequired } = require('../middleware/auth');
+
+const GIT_URL_RE = /^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/(info\/refs|git-upload-pack|git-receive-pack)$/;
+
+// 转发给上游的请求头
+const FORWARD_REQUEST_HEADERS = [
+    'accept',
+    'accept-encoding',
+    'content-type',
+    'content-encoding',
+    'content-length',
+    'git-protocol',
+    'user-agent',
+];
+
+// 返回给客户端的响应头
+const FORWARD_RESPONSE_HEADERS = [
+    'content-type',
+    'content-encoding',
+    'content-length',
+    'cache-control',
+    'expires',
+    'pragma',
+    'www-authenticate',
+];
+
+/**
+ * 解析 Git Smart HTTP 请求
+ * 返回: { owner, repo, action, service }，不是 Git 请求时返回 null
+ */
+function parseGitRequest(url) {
+    const parsed = new URL(url);
+    const match = `${parsed.origin}${parsed.pathname}`.match(GIT_URL_RE);
+    if (!match) {
+        return null;
+    }
+    return {
+        owner: match[1],
+        repo: match[2],
+        action: match[3],
+        service: match[3] === 'info/refs' ? parsed.searchParams.get('service') || '' : match[3],
+    };
+}
+
+/**
+ * 代理 Git Smart HTTP 请求
+ * 只支持拉取（git-upload-pack），推送与 dumb 协议返回 403
+ * @param {object} target - parseGitRequest 的结果
+ */
+async function proxyGitRequest(req, res, target) {
+    const { owner, repo, action, service } = target;
+    if (service !== 'git-upload-pack') {
+        return res.status(403).send('仅支持通过代理克隆与拉取仓库（git-upload-pack）');
+    }
+    const expectedMethod = action === 'info/refs' ? 'GET' : 'POST';
+    if (req.method !== expectedMethod) {
+        return res.status(405).set('Allow', expectedMethod).send('Method Not Allowed');
+    }
+
+    let upstreamURL = `https://github.com/${owner}/${repo}.git/${action}`;
+    if (action === 'info/refs') {
+        upstreamURL += `?service=${service}`;
+    }
+
+    const headers = {};
+    for (const name of FORWARD_REQUEST_HEADERS) {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    }
+    // 客户端的 GitHub 凭据用于克隆私有仓库；启用代理认证时携带的是代理凭据，不转发
+    if (req.headers.authorization && !isAuthRequired('github')) {
+        headers['authorization'] = req.headers.authorization;
+    }
+
+    // 客户端断开时中止上游请求
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+
+    try {
+        const response = await fetch(upstreamURL, {
+            method: req.method,
+            headers,
+            body: req.method === 'POST' ? req : undefined,
+            compress: false, // 原样透传压缩的响应
+            signal: controller.signal,
+        });
+
+        for (const name of FORWARD_RESPONSE_HEADERS) {
+            const value = response.headers.get(name);
+            // 启用代理认证时不透传上游质询，避免与代理的 Basic 认证冲突
+            if (value && !(name === 'www-authenticate' && isAuthRequired('github'))) {
+                res.set(name, value);
+            }
+        }
+        res.status(response.status);
+        res.flushHeaders();
+
+        response.body.on('error', (error) => {
+            if (error.name !== 'AbortError') {
+                console.error(`Git 代理传输失败 ${owner}/${repo}: ${error.message}`);
+            }
+            res.destroy(error);
+        });
+        response.body.pipe(res);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        console.error(`Git 代理错误 ${owner}/${repo}: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(502).send(`上游错误: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    parseGitRequest,
+    proxyGitRequest,
+};
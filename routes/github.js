@@ -4,42 +4,30 @@
  */
 
 const fetch = require('node-fetch');
-const { getConfig } = require('../config');
-const { checkGitHubAccess } = require('../middleware/accessControl');
-
-// GitHub URL 匹配正则表达式
-const githubPatterns = [
-    /^(?:https?:\/\/)?github\.com\/([^/]+)\/([^/]+)\/(?:releases|archive)\/.*/,
-    /^(?:https?:\/\/)?github\.com\/([^/]+)\/([^/]+)\/(?:blob|raw)\/.*/,
-    /^(?:https?:\/\/)?github\.com\/([^/]+)\/([^/]+)\/(?:info|git-).*/,
-    /^(?:https?:\/\/)?raw\.github(?:usercontent)?\.com\/([^/]+)\/([^/]+)\/.+?\/.+/,
-    /^(?:https?:\/\/)?gist\.(?:githubusercontent|github)\.com\/([^/]+)\/([^/]+).*/,
-    /^(?:https?:\/\/)?api\.github\.com\/repos\/([^/]+)\/([^/]+)\/.*/,
-    /^(?:https?:\/\/)?huggingface\.co(?:\/spaces)?\/([^/]+)\/(.+)/,
-    /^(?:https?:\/\/)?cdn-lfs\.hf\.co(?:\/spaces)?\/([^/]+)\/([^/]+)(?:\/(.*))?/,
-    /^(?:https?:\/\/)?download\.docker\.com\/([^/]+)\/.*\.(tgz|zip)/,
-    /^(?:https?:\/\/)?(github|opengraph)\.githubassets\.com\/([^/]+)\/.+?/,
-];
-
-// 阻止的内容类型
-const blockedContentTypes = new Set([
-    'text/html',
-    'application/xhtml+xml',
-    'text/xml',
-    'application/xml',
-]);
+const { pipeline } = require('stream');
+const { checkGitHubAccess, checkUserAccess } = require('../middleware/accessControl');
+const { isAuthRequired, requireAuth } = require('../middleware/auth');
+const { selectAsset } = require('../utils/releaseAssets');
+const { matchProxyHost, getRedirectPolicy, isBlockedContentType, getMaxSize } = require('../utils/proxyHosts');
+const { parseGitRequest, proxyGitRequest } = require('./git');
+const { serveGitHubCache } = require('./githubCache');
+const { serveGitHubAPI, fetchGitHubJSON } = require('./githubApi');
+const {
+    isRewritableURL,
+    shouldRewrite,
+    isSupportedEncoding,
+    createRewritePipeline,
+} = require('../utils/contentRewrite');
 
 /**
- * 检查 URL 是否匹配 GitHub 模式
+ * 获取代理的访问地址，用于改写内容中的链接
  */
-function checkGitHubURL(url) {
-    for (const pattern of githubPatterns) {
-        const matches = url.match(pattern);
-        if (matches) {
-            return matches.slice(1);
-        }
+function getRealHost(req) {
+    const realHost = req.headers['x-forwarded-host'] || req.headers.host || '';
+    if (!realHost.startsWith('http://') && !realHost.startsWith('https://')) {
+        return 'https://' + realHost;
     }
-    return null;
+    return realHost;
 }
 
 /**
@@ -60,34 +48,84 @@ async function githubProxyHandler(req, res) {
         rawPath = 'https://' + rawPath;
     }
 
-    const matches = checkGitHubURL(rawPath);
-    if (!matches) {
+    const matched = matchProxyHost(rawPath);
+    if (!matched) {
         return res.status(403).send('无效输入');
     }
+    const { rule, owner, repo } = matched;
 
     // 检查访问权限
-    if (matches.length >= 2) {
-        const { allowed, reason } = checkGitHubAccess(matches[0], matches[1]);
+    if (repo !== null) {
+        const repoPath = owner ? `${owner}/${repo.replace(/\.git$/, '')}` : repo.replace(/\.git$/, '');
+        const { allowed, reason } = checkGitHubAccess(owner, repo);
         if (!allowed) {
-            const repoPath = `${matches[0]}/${matches[1].replace(/\.git$/, '')}`;
-            console.log(`GitHub仓库 ${repoPath} 访问被拒绝: ${reason}`);
+            console.log(`仓库 ${repoPath} 访问被拒绝: ${reason}`);
             return res.status(403).send(reason);
         }
+
+        const userAccess = checkUserAccess(req.user, repoPath);
+        if (!userAccess.allowed) {
+            console.log(`仓库 ${repoPath} 访问被拒绝: ${userAccess.reason}`);
+            return res.status(403).send(userAccess.reason);
+        }
+    }
+
+    // Git Smart HTTP 请求（git clone）单独处理，流式透传请求体与 packfile
+    const gitTarget = rule.handler === 'git' ? parseGitRequest(rawPath) : null;
+    if (gitTarget) {
+        return proxyGitRequest(req, res, gitTarget);
+    }
+
+    // 例如将 blob 链接转换为 raw 链接
+    if (Array.isArray(rule.pathReplace) && rule.pathReplace.length === 2) {
+        rawPath = rawPath.replace(rule.pathReplace[0], rule.pathReplace[1]);
     }
 
-    // 将 blob 链接转换为 raw 链接
-    if (githubPatterns[1].test(rawPath)) {
-        rawPath = rawPath.replace('/blob/', '/raw/');
+    // API 请求使用 Token 池与响应缓存，Release 附件与源码归档优先使用磁盘缓存
+    try {
+        if (rule.handler === 'githubApi' && await serveGitHubAPI(req, res, rawPath, getRealHost(req))) {
+            return;
+        }
+        if (await serveGitHubCache(req, res, rawPath, rule)) {
+            return;
+        }
+    } catch (error) {
+        console.error(`GitHub 代理错误: ${error.message}`);
+        if (res.headersSent) {
+            return;
+        }
     }
 
-    await proxyGitHubRequest(req, res, rawPath);
+    await proxyGitHubRequest(req, res, rawPath, { rule });
+}
+
+/**
+ * 判断重定向地址与原地址是否为同一主机
+ */
+function isSameHost(url, location) {
+    try {
+        return new URL(location, url).host === new URL(url).host;
+    } catch {
+        return false;
+    }
 }
 
 /**
  * 代理 GitHub 请求
+ * @param {object} options
+ *   redirectCount - 已跟随的重定向次数
+ *   rewriteFile - 按文件名需要改写内容，重定向到存储地址后文件名可能丢失，沿用首次判断
+ *   rule - 匹配的域名规则，重定向后沿用首次匹配的规则
+ *   forwardAuthorization - 是否转发客户端的 Authorization；启用代理认证时它是代理凭据，重定向到其他主机时也不再转发
  */
-async function proxyGitHubRequest(req, res, url, redirectCount = 0) {
+async function proxyGitHubRequest(req, res, url, options = {}) {
     const MAX_REDIRECTS = 20;
+    const {
+        redirectCount = 0,
+        rewriteFile = isRewritableURL(url),
+        rule = matchProxyHost(url)?.rule,
+        forwardAuthorization = !isAuthRequired('github'),
+    } = options;
 
     if (redirectCount > MAX_REDIRECTS) {
         return res.status(508).send('重定向次数过多，可能存在循环重定向');
@@ -98,50 +136,74 @@ async function proxyGitHubRequest(req, res, url, redirectCount = 0) {
         const headers = { ...req.headers };
         delete headers.host;
         delete headers.connection;
+        if (!forwardAuthorization) {
+            delete headers.authorization;
+        }
+
+        // 改写的文件需要完整内容，不能按区间返回
+        if (rewriteFile) {
+            delete headers.range;
+            delete headers['if-range'];
+        }
 
         const response = await fetch(url, {
             method: req.method,
             headers,
             body: req.method !== 'GET' && req.method !== 'HEAD' ? req : undefined,
             redirect: 'manual', // 手动处理重定向
+            compress: false, // 原样透传，保证 Content-Length 与 Content-Range 准确
         });
 
         // 处理重定向（在检查内容类型之前处理重定向）
         const location = response.headers.get('location');
         if (location && response.status >= 300 && response.status < 400) {
+            const policy = getRedirectPolicy(rule);
+            if (policy === 'passthrough') {
+                // 交给客户端跟随，加速范围内的地址加上代理前缀
+                response.body.resume();
+                res.set('Location', matchProxyHost(location) ? `${getRealHost(req)}/${location}` : location);
+                return res.status(response.status).end();
+            }
+            if (policy === 'matched' && !matchProxyHost(location)) {
+                response.body.resume();
+                console.log(`重定向目标不在加速范围内: ${location}`);
+                return res.status(403).send('重定向目标不在加速范围内');
+            }
+
             // 继续代理重定向目标
-            return proxyGitHubRequest(req, res, location, redirectCount + 1);
+            return proxyGitHubRequest(req, res, location, {
+                redirectCount: redirectCount + 1,
+                rewriteFile: rewriteFile || isRewritableURL(location),
+                rule,
+                forwardAuthorization: forwardAuthorization && isSameHost(url, location),
+            });
         }
 
         // 检查内容类型（只在最终响应时检查，不在重定向响应时检查）
-        if (req.method === 'GET' && response.status >= 200 && response.status < 300) {
-            const contentType = response.headers.get('content-type') || '';
-            const baseType = contentType.split(';')[0].toLowerCase();
-            if (blockedContentTypes.has(baseType)) {
-                return res.status(403).json({
-                    error: 'Content type not allowed',
-                    message: '检测到网页类型，本服务不支持加速网页，请检查您的链接是否正确。',
-                });
-            }
+        if (req.method === 'GET' && response.status >= 200 && response.status < 300 &&
+            isBlockedContentType(rule, response.headers.get('content-type'))) {
+            return res.status(403).json({
+                error: 'Content type not allowed',
+                message: '检测到网页类型，本服务不支持加速网页，请检查您的链接是否正确。',
+            });
         }
 
-        // 检查文件大小限制
-        const config = getConfig();
-        const contentLength = response.headers.get('content-length');
+        // 检查文件大小限制，206 响应按 Content-Range 中的完整大小计算
+        const maxSize = getMaxSize(rule);
+        const contentRange = response.headers.get('content-range') || '';
+        const totalMatch = contentRange.match(/\/(\d+)$/);
+        const contentLength = totalMatch ? totalMatch[1] : response.headers.get('content-length');
         if (contentLength) {
             const size = parseInt(contentLength, 10);
-            if (size > config.server.fileSize) {
+            if (size > maxSize) {
                 return res.status(413).send(
-                    `文件过大，限制大小: ${Math.floor(config.server.fileSize / (1024 * 1024))} MB`
+                    `文件过大，限制大小: ${Math.floor(maxSize / (1024 * 1024))} MB`
                 );
             }
         }
 
-        // 获取真实域名用于处理脚本
-        let realHost = req.headers['x-forwarded-host'] || req.headers.host || '';
-        if (!realHost.startsWith('http://') && !realHost.startsWith('https://')) {
-            realHost = 'https://' + realHost;
-        }
+        // 获取真实域名用于改写内容中的链接
+        const realHost = getRealHost(req);
 
         // 复制响应头
         const responseHeaders = {};
@@ -154,26 +216,21 @@ async function proxyGitHubRequest(req, res, url, redirectCount = 0) {
             responseHeaders[key] = value;
         }
 
-        // 处理 .sh 和 .ps1 文件的智能替换
-        const lowercaseUrl = url.toLowerCase();
-        if (lowercaseUrl.endsWith('.sh') || lowercaseUrl.endsWith('.ps1')) {
-            // 读取并替换脚本内容中的 GitHub URL
-            let body = await response.text();
-
-            // 替换常见的 GitHub 下载链接
-            const githubUrlPatterns = [
-                /https?:\/\/github\.com\/[^\s"']+/g,
-                /https?:\/\/raw\.githubusercontent\.com\/[^\s"']+/g,
-            ];
-
-            for (const pattern of githubUrlPatterns) {
-                body = body.replace(pattern, match => `${realHost}/${match}`);
-            }
-
+        // 改写脚本、配置文件与 API 响应中的链接，按原压缩格式流式输出
+        const encoding = response.headers.get('content-encoding') || '';
+        const contentType = response.headers.get('content-type') || '';
+        if (req.method === 'GET' && response.status === 200 && isSupportedEncoding(encoding) &&
+            (rewriteFile || shouldRewrite(url, contentType))) {
             delete responseHeaders['content-length'];
+            delete responseHeaders['etag'];
+            delete responseHeaders['accept-ranges'];
             res.set(responseHeaders);
             res.status(response.status);
-            return res.send(body);
+            return pipeline(response.body, ...createRewritePipeline(encoding, realHost), res, (error) => {
+                if (error) {
+                    console.error(`GitHub 内容改写失败 ${url}: ${error.message}`);
+                }
+            });
         }
 
         // 流式响应
@@ -186,17 +243,83 @@ async function proxyGitHubRequest(req, res, url, redirectCount = 0) {
     }
 }
 
+/**
+ * 解析 Release 附件并代理下载
+ * /gh/<owner>/<repo>/releases/latest/<通配符>
+ * /gh/<owner>/<repo>/releases/tag/<tag>/<通配符>
+ * 可通过 ?os=&arch= 按平台筛选附件
+ */
+async function releaseAssetHandler(req, res) {
+    const { owner, repo, tag } = req.params;
+    const pattern = req.params[0];
+
+    const repoPath = `${owner}/${repo}`;
+    const { allowed, reason } = checkGitHubAccess(owner, repo);
+    if (!allowed) {
+        console.log(`GitHub仓库 ${repoPath} 访问被拒绝: ${reason}`);
+        return res.status(403).send(reason);
+    }
+    const userAccess = checkUserAccess(req.user, repoPath);
+    if (!userAccess.allowed) {
+        console.log(`GitHub仓库 ${repoPath} 访问被拒绝: ${userAccess.reason}`);
+        return res.status(403).send(userAccess.reason);
+    }
+
+    const apiURL = tag
+        ? `https://api.github.com/repos/${repoPath}/releases/tags/${encodeURIComponent(tag)}`
+        : `https://api.github.com/repos/${repoPath}/releases/latest`;
+    let release;
+    try {
+        release = await fetchGitHubJSON(apiURL);
+    } catch (error) {
+        console.error(`获取 Release 失败 ${repoPath}: ${error.message}`);
+        return res.status(502).json({ error: `获取 Release 失败: ${error.message}` });
+    }
+    if (!release.body) {
+        return res.status(release.status >= 500 ? 502 : release.status)
+            .json({ error: `获取 Release 失败: GitHub API 返回 ${release.status}` });
+    }
+
+    const assets = release.body.assets || [];
+    const platform = {
+        os: req.query.os ? String(req.query.os) : '',
+        arch: req.query.arch ? String(req.query.arch) : '',
+    };
+    const asset = selectAsset(assets, pattern, platform);
+    if (!asset) {
+        return res.status(404).json({
+            error: `Release ${release.body.tag_name} 中没有匹配 ${pattern} 的附件`,
+            assets: assets.map(item => item.name),
+        });
+    }
+
+    res.set({ 'X-Release-Tag': release.body.tag_name, 'X-Release-Asset': asset.name });
+    const url = asset.browser_download_url;
+    const rule = matchProxyHost(url)?.rule;
+    try {
+        if (await serveGitHubCache(req, res, url, rule)) {
+            return;
+        }
+    } catch (error) {
+        console.error(`GitHub 代理错误: ${error.message}`);
+        if (res.headersSent) {
+            return;
+        }
+    }
+    await proxyGitHubRequest(req, res, url, { rule });
+}
+
 /**
  * 注册 GitHub 代理路由
+ * 通用的 GitHub 文件代理作为 NoRoute 处理器在 app.js 中最后注册
  */
 function registerGitHubRoutes(app) {
-    // NoRoute 处理器 - 作为最后的路由处理
-    // 在 app.js 中以中间件方式使用
+    app.get('/gh/:owner/:repo/releases/latest/*', requireAuth('github'), releaseAssetHandler);
+    app.get('/gh/:owner/:repo/releases/tag/:tag/*', requireAuth('github'), releaseAssetHandler);
 }
 
 module.exports = {
     githubProxyHandler,
-    checkGitHubURL,
     proxyGitHubRequest,
     registerGitHubRoutes,
 };
@@ -0,0 +1,192 @@
+/**
+ * GitHub API 代理
+ * 未自带凭据的请求使用配置的 Token 池访问 api.github.com，避免共享代理 IP 的匿名额度（60 次/小时）；
+ * GET 响应缓存在内存中，过期后以 If-None-Match / If-Modified-Since 向上游确认，304 响应不消耗额度
+ */
+
+const fetch = require('node-fetch');
+const { getConfig } = require('../config');
+const { Cache } = require('../utils/cache');
+const { SingleFlight } = require('../utils/singleFlight');
+const { isAuthRequired } = require('../middleware/auth');
+const { pickToken, updateToken } = require('../utils/githubTokens');
+const { shouldRewrite, rewriteText } = require('../utils/contentRewrite');
+
+// 超过该大小的响应不缓存
+const MAX_CACHED_BODY = 1024 * 1024;
+
+// 缓存条目保留时间，过期前可用于条件请求
+const RETAIN_TTL = 24 * 60 * 60 * 1000;
+
+// 转发给上游的请求头
+const FORWARD_REQUEST_HEADERS = ['accept', 'user-agent', 'x-github-api-version'];
+
+// 返回给客户端的响应头
+const FORWARD_RESPONSE_HEADERS = ['content-type', 'etag', 'last-modified', 'link', 'cache-control'];
+
+// 键为 URL 与 Accept，值为 { status, headers, data, fetchedAt }
+const responseCache = new Cache(5000, RETAIN_TTL);
+const apiFlights = new SingleFlight();
+
+/**
+ * 使用 Token 池请求上游
+ * Token 失效或额度耗尽时换用下一个，全部不可用时匿名请求
+ */
+async function fetchWithTokenPool(url, headers, cached) {
+    const tried = new Set();
+    for (;;) {
+        const token = pickToken(tried);
+        const requestHeaders = { ...headers };
+        if (token) {
+            requestHeaders['Authorization'] = `Bearer ${token}`;
+        }
+        if (cached?.headers['etag']) {
+            requestHeaders['If-None-Match'] = cached.headers['etag'];
+        }
+        if (cached?.headers['last-modified']) {
+            requestHeaders['If-Modified-Since'] = cached.headers['last-modified'];
+        }
+
+        const response = await fetch(url, {
+            headers: requestHeaders,
+            redirect: 'manual',
+            timeout: getConfig().githubApi.timeout * 1000,
+        });
+        if (!token || updateToken(token, response)) {
+            return response;
+        }
+        response.body.resume();
+        tried.add(token);
+    }
+}
+
+/**
+ * 从上游获取 API 响应并更新缓存
+ * 返回: { entry, cacheStatus } 或 { location }（上游重定向）
+ */
+async function refreshResponse(url, headers, key, cached) {
+    const response = await fetchWithTokenPool(url, headers, cached);
+
+    const location = response.headers.get('location');
+    if (location && response.status >= 300 && response.status < 400) {
+        response.body.resume();
+        return { location };
+    }
+
+    if (response.status === 304 && cached) {
+        response.body.resume();
+        const entry = { ...cached, fetchedAt: Date.now() };
+        responseCache.set(key, entry);
+        return { entry, cacheStatus: 'REVALIDATED' };
+    }
+
+    const entry = { status: response.status, headers: {}, data: await response.buffer(), fetchedAt: Date.now() };
+    for (const name of FORWARD_RESPONSE_HEADERS) {
+        const value = response.headers.get(name);
+        if (value) {
+            entry.headers[name] = value;
+        }
+    }
+    if (response.status === 200 && entry.data.length <= MAX_CACHED_BODY) {
+        responseCache.set(key, entry);
+    }
+    return { entry, cacheStatus: 'MISS' };
+}
+
+/**
+ * 返回 API 响应，JSON 中的下载链接按内容改写规则加上代理前缀
+ */
+function sendResponse(req, res, url, entry, cacheStatus, realHost) {
+    res.set(entry.headers);
+    res.set('X-Cache', cacheStatus);
+    if (cacheStatus === 'STALE') {
+        res.set('Warning', '110 hubproxy "Response is stale: upstream unavailable"');
+    }
+
+    const etag = entry.headers['etag'];
+    if (entry.status === 200 && etag && req.headers['if-none-match'] === etag) {
+        return res.status(304).end();
+    }
+
+    let data = entry.data;
+    if (shouldRewrite(url, entry.headers['content-type'])) {
+        data = Buffer.from(rewriteText(data.toString('utf-8'), realHost));
+    }
+    res.status(entry.status);
+    res.set('Content-Length', String(data.length));
+    return req.method === 'HEAD' ? res.end() : res.end(data);
+}
+
+/**
+ * 获取 API 响应，缓存在 cacheTTL 内直接使用，过期后向上游确认
+ * 上游不可用时使用过期的缓存
+ * 返回: { entry, cacheStatus } 或 { location }
+ */
+async function loadResponse(url, headers) {
+    const key = `${url}|${headers['accept'] || ''}|${headers['x-github-api-version'] || ''}`;
+    const cached = responseCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt <= getConfig().githubApi.cacheTTL * 1000) {
+        return { entry: cached, cacheStatus: 'HIT' };
+    }
+
+    try {
+        return await apiFlights.do(key, () => refreshResponse(url, headers, key, cached));
+    } catch (error) {
+        if (!cached) {
+            throw error;
+        }
+        console.warn(`GitHub API 上游不可用，返回过期响应: ${url}: ${error.message}`);
+        return { entry: cached, cacheStatus: 'STALE' };
+    }
+}
+
+/**
+ * 读取 GitHub API 的 JSON 响应，供代理内部使用
+ * 返回: { status, body }，非 200 响应的 body 为 null
+ */
+async function fetchGitHubJSON(url) {
+    const result = await loadResponse(url, { accept: 'application/vnd.github+json' });
+    if (result.location) {
+        throw new Error(`GitHub API 返回重定向: ${result.location}`);
+    }
+    const { status, data } = result.entry;
+    return { status, body: status === 200 ? JSON.parse(data.toString('utf-8')) : null };
+}
+
+/**
+ * 使用 Token 池与缓存处理 GitHub API 请求
+ * 非 GET/HEAD 请求与客户端自带凭据的请求不处理，由普通代理原样转发
+ * 返回: 是否已处理
+ */
+async function serveGitHubAPI(req, res, url, realHost) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return false;
+    }
+    // 启用代理认证时 Authorization 是代理凭据，不是 GitHub 凭据
+    if (req.headers.authorization && !isAuthRequired('github')) {
+        return false;
+    }
+
+    const headers = {};
+    for (const name of FORWARD_REQUEST_HEADERS) {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    }
+
+    const result = await loadResponse(url, headers);
+    if (result.location) {
+        // 例如 tarball/zipball 重定向到 codeload，交由普通代理继续，不转发客户端凭据
+        const { proxyGitHubRequest } = require('./github');
+        await proxyGitHubRequest(req, res, result.location, { redirectCount: 1, forwardAuthorization: false });
+        return true;
+    }
+
+    sendResponse(req, res, url, result.entry, result.cacheStatus, realHost);
+    return true;
+}
+
+module.exports = {
+    serveGitHubAPI,
+    fetchGitHubJSON,
+};
@@ -0,0 +1,311 @@
+/**
+ * GitHub 文件磁盘缓存
+ * 按规范化的 GitHub URL 缓存 Release 附件与源码归档：
+ *   Release 附件与按提交摘要的归档视为不可变，命中时直接返回；
+ *   分支/标签归档、latest 附件与 raw 文件超过 revalidateAfter 后使用 ETag/If-Modified-Since 向上游确认
+ */
+
+const path = require('path');
+const fetch = require('node-fetch');
+const { getConfig } = require('../config');
+const { DiskCache } = require('../utils/diskCache');
+const { Cache } = require('../utils/cache');
+const { SingleFlight } = require('../utils/singleFlight');
+const { resolveRange, sendFileRange } = require('../utils/range');
+const { isRewritableURL, shouldRewrite } = require('../utils/contentRewrite');
+const { isAuthRequired } = require('../middleware/auth');
+const { matchProxyHost, getRedirectPolicy, getMaxSize } = require('../utils/proxyHosts');
+
+// 下载时跟随的最大重定向次数
+const MAX_REDIRECTS = 20;
+
+// 内容不会变化的 URL
+const IMMUTABLE_PATTERNS = [
+    /^https:\/\/github\.com\/[^/]+\/[^/]+\/releases\/download\/[^/]+\/[^/]+$/,
+    /^https:\/\/github\.com\/[^/]+\/[^/]+\/archive\/[a-f0-9]{40}\.(?:tar\.gz|zip)$/,
+];
+
+// 内容可能变化、需要重新确认的 URL
+const REVALIDATE_PATTERNS = [
+    /^https:\/\/github\.com\/[^/]+\/[^/]+\/releases\/latest\/download\/[^/]+$/,
+    /^https:\/\/github\.com\/[^/]+\/[^/]+\/archive\/.+\.(?:tar\.gz|zip)$/,
+    /^https:\/\/github\.com\/[^/]+\/[^/]+\/raw\/.+$/,
+    /^https:\/\/raw\.githubusercontent\.com\/[^/]+\/[^/]+\/.+$/,
+];
+
+// 网页类型的内容不缓存，交由代理返回错误
+const HTML_TYPES = new Set(['text/html', 'application/xhtml+xml']);
+
+let githubCache = null;
+
+const downloadFlights = new SingleFlight();
+
+// 进行中的下载，键为 URL
+const activeDownloads = new Map();
+
+// 最近一次确认未变化的时间，键为 URL
+const validatedAt = new Cache(100000, 24 * 60 * 60 * 1000);
+
+/**
+ * 获取 GitHub 文件缓存，未启用时返回 null
+ */
+function getGitHubCache() {
+    const config = getConfig();
+    if (!config.githubCache?.enabled) {
+        return null;
+    }
+    if (!githubCache) {
+        githubCache = new DiskCache(path.resolve(config.githubCache.dir), config.githubCache.maxSize).init();
+    }
+    return githubCache;
+}
+
+/**
+ * 判断请求是否可以使用缓存
+ * 携带 GitHub 凭据或查询参数的请求可能是私有内容，需要改写的文件内容依赖代理域名，均不缓存
+ * 启用代理认证时 Authorization 是代理凭据，不转发给上游，不影响缓存
+ * 返回: 'immutable'、'revalidate' 或 null
+ */
+function classifyRequest(req, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return null;
+    }
+    if (req.headers.authorization && !isAuthRequired('github')) {
+        return null;
+    }
+    if (url.includes('?') || isRewritableURL(url)) {
+        return null;
+    }
+    if (IMMUTABLE_PATTERNS.some(pattern => pattern.test(url))) {
+        return 'immutable';
+    }
+    if (REVALIDATE_PATTERNS.some(pattern => pattern.test(url))) {
+        return 'revalidate';
+    }
+    return null;
+}
+
+/**
+ * 检查可变内容是否仍在有效期内
+ */
+function isFresh(url, entry) {
+    const checkedAt = Math.max(entry.meta.fetchedAt || 0, validatedAt.get(url) || 0);
+    return Date.now() - checkedAt <= getConfig().githubCache.revalidateAfter * 1000;
+}
+
+/**
+ * 构建缓存内容的响应头
+ */
+function buildHeaders(meta, cacheStatus) {
+    const headers = {
+        'Content-Type': meta.contentType || 'application/octet-stream',
+        'X-Cache': cacheStatus,
+    };
+    if (meta.contentDisposition) {
+        headers['Content-Disposition'] = meta.contentDisposition;
+    }
+    if (meta.etag) {
+        headers['ETag'] = meta.etag;
+    }
+    if (meta.lastModified) {
+        headers['Last-Modified'] = meta.lastModified;
+    }
+    if (cacheStatus === 'STALE') {
+        headers['Warning'] = '110 hubproxy "Response is stale: upstream unavailable"';
+    }
+    return headers;
+}
+
+/**
+ * 请求上游文件，按规则的重定向策略跟随重定向
+ * 不允许由代理跟随的重定向原样返回，由调用方交给普通代理处理
+ */
+async function fetchFile(url, headers, rule) {
+    let current = url;
+    for (let i = 0; i <= MAX_REDIRECTS; i++) {
+        const response = await fetch(current, { headers, redirect: 'manual', compress: false });
+        const location = response.headers.get('location');
+        if (!location || response.status < 300 || response.status >= 400) {
+            return response;
+        }
+
+        const target = new URL(location, current).href;
+        const policy = getRedirectPolicy(rule);
+        if (policy === 'passthrough' || (policy === 'matched' && !matchProxyHost(target))) {
+            return response;
+        }
+        response.body.resume();
+        current = target;
+    }
+    throw new Error('重定向次数过多');
+}
+
+/**
+ * 从上游下载文件到缓存
+ * 已有缓存时发送条件请求，未变化返回 { notModified: true }；
+ * 无法缓存的响应（含压缩传输的响应，其长度与解压后的内容不一致）返回 { status }，由调用方回退到普通代理
+ */
+async function startDownload(url, entry, cache, rule) {
+    const headers = { 'User-Agent': 'hubproxy' };
+    if (entry?.meta.etag) {
+        headers['If-None-Match'] = entry.meta.etag;
+    }
+    if (entry?.meta.lastModified) {
+        headers['If-Modified-Since'] = entry.meta.lastModified;
+    }
+
+    const response = await fetchFile(url, headers, rule);
+    if (response.status === 304 && entry) {
+        validatedAt.set(url, Date.now());
+        return { notModified: true };
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const size = parseInt(response.headers.get('content-length'), 10);
+    const maxSize = getMaxSize(rule);
+    if (response.status !== 200 || response.headers.get('content-encoding') ||
+        HTML_TYPES.has(contentType) || shouldRewrite(url, contentType) ||
+        size > maxSize || size > cache.maxSize) {
+        response.body.resume();
+        return { status: response.status };
+    }
+
+    const meta = {
+        url,
+        contentType: response.headers.get('content-type') || '',
+        contentDisposition: response.headers.get('content-disposition') || '',
+        etag: response.headers.get('etag') || '',
+        lastModified: response.headers.get('last-modified') || '',
+        fetchedAt: Date.now(),
+    };
+    const result = { status: 200, size, meta, writer: cache.createWriter(url, { meta }) };
+
+    result.writer.on('error', (error) => {
+        console.error(`GitHub 文件 ${url} 缓存写入失败: ${error.message}`);
+    });
+    result.writer.on('close', () => {
+        if (activeDownloads.get(url) === result) {
+            activeDownloads.delete(url);
+        }
+    });
+    // 上游未给出长度时按实际接收的大小限制
+    let received = 0;
+    response.body.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxSize) {
+            result.writer.destroy(new Error('文件超过大小限制'));
+            response.body.destroy();
+        }
+    });
+    response.body.on('error', error => result.writer.destroy(error));
+    response.body.pipe(result.writer);
+
+    validatedAt.delete(url);
+    activeDownloads.set(url, result);
+    return result;
+}
+
+/**
+ * 返回进行中的下载，上游给出长度时支持 Range 请求
+ */
+function serveDownload(req, res, download) {
+    const headers = buildHeaders(download.meta, 'MISS');
+    const range = Number.isNaN(download.size) ? null : resolveRange(req, download.size, headers['ETag'], headers['Last-Modified']);
+
+    res.set(headers);
+    if (range && range.unsatisfiable) {
+        res.set('Content-Range', `bytes */${download.size}`);
+        return res.status(416).end();
+    }
+    if (range) {
+        res.set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${download.size}`,
+            'Content-Length': String(range.end - range.start + 1),
+        });
+        res.status(206);
+    } else {
+        if (!Number.isNaN(download.size)) {
+            res.set('Content-Length', String(download.size));
+        }
+        res.status(200);
+    }
+    res.set('Accept-Ranges', Number.isNaN(download.size) ? 'none' : 'bytes');
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    download.writer.follow(range || {})
+        .on('error', (error) => {
+            console.error(`GitHub 文件 ${download.meta.url} 传输失败: ${error.message}`);
+            res.destroy(error);
+        })
+        .pipe(res);
+}
+
+/**
+ * 使用磁盘缓存处理 GitHub 文件请求
+ * @param {object} rule - 匹配的域名规则，决定重定向策略与文件大小上限
+ * 返回: 是否已处理；返回 false 时由普通代理处理
+ */
+async function serveGitHubCache(req, res, url, rule) {
+    const cache = getGitHubCache();
+    const kind = cache ? classifyRequest(req, url) : null;
+    if (!kind) {
+        return false;
+    }
+
+    const entry = cache.get(url);
+    if (entry && (kind === 'immutable' || isFresh(url, entry))) {
+        sendFileRange(req, res, entry.file, entry.size, buildHeaders(entry.meta, 'HIT'));
+        return true;
+    }
+
+    // 没有缓存与进行中的下载时，Range 与 HEAD 请求直接交给普通代理
+    let download = activeDownloads.get(url);
+    if (!download && !entry && (req.headers.range || req.method === 'HEAD')) {
+        return false;
+    }
+
+    if (!download) {
+        try {
+            download = await downloadFlights.do(url, () => startDownload(url, entry, cache, rule));
+        } catch (error) {
+            if (!entry) {
+                return false;
+            }
+            download = { status: 502 };
+            console.warn(`GitHub 文件重新确认失败: ${url}: ${error.message}`);
+        }
+    }
+
+    if (download.notModified || (!download.writer && entry && download.status >= 500)) {
+        const current = cache.get(url);
+        if (!current) {
+            return false;
+        }
+        const cacheStatus = download.notModified ? 'REVALIDATED' : 'STALE';
+        sendFileRange(req, res, current.file, current.size, buildHeaders(current.meta, cacheStatus));
+        return true;
+    }
+
+    if (!download.writer) {
+        // 上游不再提供该文件等情况，删除缓存后由普通代理返回上游响应
+        if (entry && download.status < 500) {
+            cache.delete(url);
+        }
+        return false;
+    }
+
+    const committed = download.writer.committed ? cache.get(url) : null;
+    if (committed) {
+        sendFileRange(req, res, committed.file, committed.size, buildHeaders(committed.meta, 'HIT'));
+    } else {
+        serveDownload(req, res, download);
+    }
+    return true;
+}
+
+module.exports = {
+    serveGitHubCache,
+};
@@ -0,0 +1,479 @@
+/**
+ * 托管 Registry
+ * 在指定命名空间（默认 local/*）下提供本地存储的镜像仓库，支持 OCI Distribution 推送
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { checkDockerAccess, checkUserAccess } = require('../middleware/accessControl');
+const { isAuthRequired } = require('../middleware/auth');
+const { HostedStorage, isValidRepository, isValidTag } = require('../utils/hostedStorage');
+const { isSha256Digest } = require('../utils/diskCache');
+const { sendFileRange } = require('../utils/range');
+const {
+    INDEX_MEDIA_TYPE,
+    buildReferrersIndex,
+    filterReferrers,
+    toReferrerDescriptor,
+} = require('../utils/referrers');
+
+const MANIFEST_TYPES = new Set([
+    'application/vnd.docker.distribution.manifest.v2+json',
+    'application/vnd.docker.distribution.manifest.list.v2+json',
+    'application/vnd.oci.image.manifest.v1+json',
+    'application/vnd.oci.image.index.v1+json',
+]);
+
+let storage = null;
+
+/**
+ * 获取托管存储，未启用时返回 null
+ */
+function getStorage() {
+    const { hosted } = getConfig();
+    if (!hosted?.enabled) {
+        return null;
+    }
+    if (!storage) {
+        storage = new HostedStorage(path.resolve(hosted.dir)).init();
+    }
+    return storage;
+}
+
+/**
+ * 返回 OCI 格式的错误
+ */
+function sendError(res, status, code, message) {
+    res.status(status).json({ errors: [{ code, message, detail: null }] });
+}
+
+/**
+ * 解析托管仓库路径
+ * 返回: { repo, apiType, reference } 或 null（不属于托管命名空间）
+ */
+function parseHostedPath(requestPath) {
+    const { namespace } = getConfig().hosted;
+    const cleanPath = requestPath.replace(/^\/v2\//, '');
+    if (!cleanPath.startsWith(`${namespace}/`)) {
+        return null;
+    }
+
+    const patterns = [
+        [/^(.+?)\/blobs\/uploads\/?$/, 'uploads'],
+        [/^(.+?)\/blobs\/uploads\/([^/]+)$/, 'upload'],
+        [/^(.+?)\/blobs\/([^/]+)$/, 'blobs'],
+        [/^(.+?)\/manifests\/([^/]+)$/, 'manifests'],
+        [/^(.+?)\/referrers\/([^/]+)$/, 'referrers'],
+        [/^(.+?)\/tags\/list$/, 'tags'],
+    ];
+    for (const [pattern, apiType] of patterns) {
+        const match = cleanPath.match(pattern);
+        if (match) {
+            return { repo: match[1], apiType, reference: match[2] || '' };
+        }
+    }
+    return { repo: cleanPath, apiType: '', reference: '' };
+}
+
+/**
+ * 检查是否允许推送
+ * 启用代理认证时需要用户配置 push = true，否则由 allowAnonymousPush 决定
+ */
+function canPush(req) {
+    if (isAuthRequired('docker')) {
+        return !!req.user?.push;
+    }
+    return !!getConfig().hosted.allowAnonymousPush;
+}
+
+/**
+ * 检查跨仓库挂载的来源仓库，要求名称合法且当前用户可以读取
+ */
+function canMountFrom(req, from) {
+    if (typeof from !== 'string' || !isValidRepository(from)) {
+        return false;
+    }
+    return checkDockerAccess(from).allowed && checkUserAccess(req.user, from).allowed;
+}
+
+/**
+ * 读取请求体，超过上限时返回 null
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            if (size > limit) {
+                return;
+            }
+            size += chunk.length;
+            if (size > limit) {
+                // 丢弃剩余内容而不断开连接，客户端才能收到 413
+                chunks.length = 0;
+                req.resume();
+                resolve(null);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 构建分页的 Link 头
+ */
+function buildNextLink(req, last, n) {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.set('n', String(n));
+    url.searchParams.set('last', last);
+    return `<${url.pathname}${url.search}>; rel="next"`;
+}
+
+/**
+ * 按 n 与 last 参数分页
+ */
+function paginate(req, res, items) {
+    const n = parseInt(req.query.n, 10);
+    const last = req.query.last;
+    let result = last ? items.filter(item => item > last) : items;
+    if (n > 0 && result.length > n) {
+        result = result.slice(0, n);
+        res.set('Link', buildNextLink(req, result[result.length - 1], n));
+    }
+    return result;
+}
+
+/**
+ * 返回上传会话状态头
+ */
+function setUploadHeaders(res, session) {
+    res.set({
+        'Location': `/v2/${session.repo}/blobs/uploads/${session.id}`,
+        'Docker-Upload-UUID': session.id,
+        'Range': `0-${Math.max(session.size - 1, 0)}`,
+        'Content-Length': '0',
+    });
+}
+
+/**
+ * 完成上传并返回 201
+ */
+async function finishUpload(res, store, session, digest) {
+    try {
+        await store.completeUpload(session, digest);
+    } catch (error) {
+        return sendError(res, 400, 'DIGEST_INVALID', error.message);
+    }
+    res.set({
+        'Location': `/v2/${session.repo}/blobs/${digest}`,
+        'Docker-Content-Digest': digest,
+        'Content-Length': '0',
+    });
+    res.status(201).end();
+}
+
+/**
+ * 处理 Blob 上传相关请求
+ */
+async function handleUpload(req, res, store, target) {
+    const { repo, apiType, reference } = target;
+
+    // 开始上传：支持跨仓库挂载与单次请求完成的整体上传，无法挂载时按规范改为普通上传
+    if (apiType === 'uploads') {
+        if (req.method !== 'POST') {
+            return sendError(res, 405, 'UNSUPPORTED', '不支持的请求方法');
+        }
+        if (req.query.mount && canMountFrom(req, req.query.from) &&
+            await store.mountBlob(repo, String(req.query.mount), req.query.from)) {
+            res.set({
+                'Location': `/v2/${repo}/blobs/${req.query.mount}`,
+                'Docker-Content-Digest': String(req.query.mount),
+                'Content-Length': '0',
+            });
+            return res.status(201).end();
+        }
+
+        const session = store.createUpload(repo);
+        if (req.query.digest) {
+            await store.appendUpload(session, req);
+            return finishUpload(res, store, session, String(req.query.digest));
+        }
+        setUploadHeaders(res, session);
+        return res.status(202).end();
+    }
+
+    const session = store.getUpload(repo, reference);
+    if (!session) {
+        return sendError(res, 404, 'BLOB_UPLOAD_UNKNOWN', '上传会话不存在');
+    }
+    if (session.busy) {
+        return sendError(res, 409, 'BLOB_UPLOAD_INVALID', '上传会话正在写入');
+    }
+
+    switch (req.method) {
+        case 'GET':
+            setUploadHeaders(res, session);
+            return res.status(204).end();
+        case 'DELETE':
+            store.cancelUpload(session);
+            return res.status(204).end();
+        case 'PATCH': {
+            // 分块上传必须从当前已接收的位置继续
+            const contentRange = req.headers['content-range'];
+            const match = contentRange ? contentRange.match(/^(?:bytes )?(\d+)-(\d+)$/) : null;
+            if (contentRange && (!match || parseInt(match[1], 10) !== session.size)) {
+                setUploadHeaders(res, session);
+                return sendError(res, 416, 'BLOB_UPLOAD_INVALID', `分块起始位置应为 ${session.size}`);
+            }
+            await store.appendUpload(session, req);
+            setUploadHeaders(res, session);
+            return res.status(202).end();
+        }
+        case 'PUT': {
+            const digest = String(req.query.digest || '');
+            if (!isSha256Digest(digest)) {
+                return sendError(res, 400, 'DIGEST_INVALID', '缺少或不支持的摘要');
+            }
+            await store.appendUpload(session, req);
+            return finishUpload(res, store, session, digest);
+        }
+        default:
+            return sendError(res, 405, 'UNSUPPORTED', '不支持的请求方法');
+    }
+}
+
+/**
+ * 检查 Manifest 引用的内容是否都已推送
+ * 返回缺失的摘要，全部存在时返回 null
+ */
+async function findMissingReference(store, repo, manifest) {
+    for (const child of manifest.manifests || []) {
+        if (!(await store.hasManifest(repo, child.digest))) {
+            return child.digest;
+        }
+    }
+    const blobs = [manifest.config, ...(manifest.layers || [])].filter(Boolean);
+    for (const blob of blobs) {
+        // 带 urls 的不可分发层不在仓库中
+        if (!blob.urls && !(await store.getBlob(repo, blob.digest))) {
+            return blob.digest;
+        }
+    }
+    return null;
+}
+
+/**
+ * 处理 Manifest 请求
+ */
+async function handleManifest(req, res, store, target) {
+    const { repo, reference } = target;
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        const manifest = await store.getManifest(repo, reference);
+        if (!manifest) {
+            return sendError(res, 404, 'MANIFEST_UNKNOWN', `${repo}:${reference} 不存在`);
+        }
+        res.set({
+            'Content-Type': manifest.contentType,
+            'Content-Length': String(manifest.data.length),
+            'Docker-Content-Digest': manifest.digest,
+            'ETag': `"${manifest.digest}"`,
+        });
+        return res.status(200).end(req.method === 'HEAD' ? undefined : manifest.data);
+    }
+
+    if (req.method === 'DELETE') {
+        if (!(await store.deleteManifest(repo, reference))) {
+            return sendError(res, 404, 'MANIFEST_UNKNOWN', `${repo}:${reference} 不存在`);
+        }
+        console.log(`托管仓库删除 ${repo}:${reference}`);
+        return res.status(202).end();
+    }
+
+    if (req.method !== 'PUT') {
+        return sendError(res, 405, 'UNSUPPORTED', '不支持的请求方法');
+    }
+
+    if (!isSha256Digest(reference) && !isValidTag(reference)) {
+        return sendError(res, 400, 'TAG_INVALID', `无效的标签: ${reference}`);
+    }
+
+    const data = await readBody(req, getConfig().hosted.maxManifestSize);
+    if (!data) {
+        return sendError(res, 413, 'SIZE_INVALID', 'Manifest 过大');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(data.toString('utf-8'));
+    } catch {
+        return sendError(res, 400, 'MANIFEST_INVALID', 'Manifest 不是有效的 JSON');
+    }
+    const contentType = (req.headers['content-type'] || manifest.mediaType || '').split(';')[0].trim();
+    if (!MANIFEST_TYPES.has(contentType)) {
+        return sendError(res, 400, 'MANIFEST_INVALID', `不支持的 Manifest 类型: ${contentType}`);
+    }
+
+    const missing = await findMissingReference(store, repo, manifest);
+    if (missing) {
+        return sendError(res, 400, 'MANIFEST_BLOB_UNKNOWN', `引用的内容尚未推送: ${missing}`);
+    }
+
+    const digest = `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`;
+    if (isSha256Digest(reference) && digest !== reference) {
+        return sendError(res, 400, 'DIGEST_INVALID', `摘要不匹配: 期望 ${reference}，实际 ${digest}`);
+    }
+    await store.putManifest(repo, reference, data, contentType);
+    // 带 subject 的制品（签名、SBOM 等）加入被引用镜像的 Referrers 列表
+    if (manifest.subject?.digest) {
+        await store.addReferrer(repo, manifest.subject.digest, toReferrerDescriptor(manifest, data, digest, contentType));
+        res.set('OCI-Subject', manifest.subject.digest);
+    }
+
+    console.log(`托管仓库推送 ${repo}:${reference} (${digest})`);
+    res.set({
+        'Location': `/v2/${repo}/manifests/${digest}`,
+        'Docker-Content-Digest': digest,
+        'Content-Length': '0',
+    });
+    res.status(201).end();
+}
+
+/**
+ * 处理 Referrers 请求
+ */
+async function handleReferrers(req, res, store, target) {
+    const { repo, reference } = target;
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendError(res, 405, 'UNSUPPORTED', '不支持的请求方法');
+    }
+    if (!isSha256Digest(reference)) {
+        return sendError(res, 400, 'DIGEST_INVALID', `无效的摘要: ${reference}`);
+    }
+
+    const artifactType = req.query.artifactType ? String(req.query.artifactType) : '';
+    const { index, filtered } = filterReferrers(buildReferrersIndex(await store.listReferrers(repo, reference)), artifactType);
+    const data = Buffer.from(JSON.stringify(index));
+    res.set({
+        'Content-Type': INDEX_MEDIA_TYPE,
+        'Content-Length': String(data.length),
+    });
+    if (filtered) {
+        res.set('OCI-Filters-Applied', 'artifactType');
+    }
+    res.status(200).end(req.method === 'HEAD' ? undefined : data);
+}
+
+/**
+ * 处理 Blob 请求
+ */
+async function handleBlob(req, res, store, target) {
+    const { repo, reference } = target;
+
+    if (req.method === 'DELETE') {
+        if (!(await store.deleteBlob(repo, reference))) {
+            return sendError(res, 404, 'BLOB_UNKNOWN', `${reference} 不存在`);
+        }
+        return res.status(202).end();
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendError(res, 405, 'UNSUPPORTED', '不支持的请求方法');
+    }
+
+    const entry = await store.getBlob(repo, reference);
+    if (!entry) {
+        return sendError(res, 404, 'BLOB_UNKNOWN', `${reference} 不存在`);
+    }
+    sendFileRange(req, res, entry.file, entry.size, {
+        'Content-Type': 'application/octet-stream',
+        'Docker-Content-Digest': reference,
+        'ETag': `"${reference}"`,
+    });
+}
+
+/**
+ * 托管仓库处理器
+ * 不属于托管命名空间的读请求交给后续的代理处理器，写请求直接拒绝
+ */
+async function hostedRegistryHandler(req, res, next) {
+    const isRead = req.method === 'GET' || req.method === 'HEAD';
+    const store = getStorage();
+    const target = store ? parseHostedPath(req.path) : null;
+
+    if (store && req.path === '/v2/_catalog' && isRead) {
+        try {
+            const repositories = (await store.listRepositories())
+                .filter(repo => checkDockerAccess(repo).allowed && checkUserAccess(req.user, repo).allowed);
+            return res.json({ repositories: paginate(req, res, repositories) });
+        } catch (error) {
+            console.error(`托管仓库错误: ${error.message}`);
+            return sendError(res, 500, 'UNKNOWN', error.message);
+        }
+    }
+
+    if (!target) {
+        if (!isRead) {
+            return sendError(res, 405, 'UNSUPPORTED', '代理的镜像仓库只支持拉取');
+        }
+        return next();
+    }
+
+    const { repo, apiType, reference } = target;
+    if (!isValidRepository(repo) || !apiType) {
+        return sendError(res, 400, 'NAME_INVALID', `无效的仓库名: ${repo}`);
+    }
+
+    // 访问控制
+    const checks = [
+        checkDockerAccess(repo, apiType === 'manifests' || apiType === 'referrers' ? reference : ''),
+        checkUserAccess(req.user, repo),
+    ];
+    for (const { allowed, reason } of checks) {
+        if (!allowed) {
+            console.log(`托管仓库 ${repo} 访问被拒绝: ${reason}`);
+            return sendError(res, 403, 'DENIED', reason);
+        }
+    }
+
+    if (!isRead && !canPush(req)) {
+        const reason = isAuthRequired('docker') ? `用户 ${req.user?.username} 没有推送权限` : '未启用代理认证时禁止推送';
+        return sendError(res, 403, 'DENIED', reason);
+    }
+
+    try {
+        switch (apiType) {
+            case 'uploads':
+            case 'upload':
+                return await handleUpload(req, res, store, target);
+            case 'manifests':
+                return await handleManifest(req, res, store, target);
+            case 'blobs':
+                return await handleBlob(req, res, store, target);
+            case 'referrers':
+                return await handleReferrers(req, res, store, target);
+            case 'tags': {
+                if (!isRead) {
+                    return sendError(res, 405, 'UNSUPPORTED', '不支持的请求方法');
+                }
+                const tags = await store.listTags(repo);
+                if (!tags) {
+                    return sendError(res, 404, 'NAME_UNKNOWN', `仓库 ${repo} 不存在`);
+                }
+                return res.json({ name: repo, tags: paginate(req, res, tags) });
+            }
+        }
+    } catch (error) {
+        console.error(`托管仓库错误: ${error.message}`);
+        if (!res.headersSent) {
+            sendError(res, 500, 'UNKNOWN', error.message);
+        }
+    }
+}
+
+module.exports = {
+    hostedRegistryHandler,
+};
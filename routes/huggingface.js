@@ -0,0 +1,255 @@
+/**
+ * Hugging Face Hub 代理
+ * 兼容 HF_ENDPOINT，例如 HF_ENDPOINT=https://your-domain.com/hf huggingface-cli download <repo>
+ *   /hf/api/models|datasets|spaces/...      Hub API
+ *   /hf/[datasets/|spaces/]<repo>/resolve/... 文件下载，保留 X-Repo-Commit、X-Linked-Etag 等响应头
+ *   /hf/_cdn/<host>/...                      LFS / Xet 存储地址，resolve 的重定向改写到此处
+ */
+
+const fetch = require('node-fetch');
+const { getConfig } = require('../config');
+const { checkGitHubAccess, checkUserAccess, matchesPattern } = require('../middleware/accessControl');
+const { isAuthRequired, requireAuth, getProxyBaseURL } = require('../middleware/auth');
+
+// 转发给上游的请求头
+const FORWARD_REQUEST_HEADERS = [
+    'accept',
+    'accept-encoding',
+    'content-type',
+    'content-length',
+    'if-none-match',
+    'if-modified-since',
+    'range',
+    'if-range',
+    'user-agent',
+];
+
+// 不返回给客户端的响应头
+const SKIPPED_RESPONSE_HEADERS = [
+    'connection',
+    'transfer-encoding',
+    'set-cookie',
+    'content-security-policy',
+    'strict-transport-security',
+];
+
+// 存储地址的主机名（可带端口），不允许出现路径、查询等字符
+const HOSTNAME_RE = /^[a-z0-9-]+(?:\.[a-z0-9-]+)*(?::\d+)?$/;
+
+/**
+ * 从路径中解析仓库名
+ * 路径先解码，避免以 %2F 等编码隐藏仓库名；组织名与仓库名按位置划分，
+ * 没有组织名的旧式仓库（如 gpt2）会被上游重定向到带组织名的地址，重定向后再按新地址检查
+ * 返回: { owner, name }，不涉及具体仓库（如模型列表）时返回 null；路径编码无效时抛出 URIError
+ */
+function parseRepository(hubPath) {
+    const parts = decodeURIComponent(hubPath).split('/').filter(Boolean);
+    let rest;
+    if (parts[0] === 'api') {
+        if (!['models', 'datasets', 'spaces'].includes(parts[1])) {
+            return null;
+        }
+        rest = parts.slice(2);
+    } else {
+        rest = ['datasets', 'spaces'].includes(parts[0]) ? parts.slice(1) : parts;
+    }
+
+    if (rest.length === 0) {
+        return null;
+    }
+    if (rest.length === 1) {
+        return { owner: '', name: rest[0] };
+    }
+    return { owner: rest[0], name: rest[1] };
+}
+
+/**
+ * 只读接口之外，仅允许查询文件信息的 POST 请求
+ */
+function isAllowedMethod(method, hubPath) {
+    if (method === 'GET' || method === 'HEAD') {
+        return true;
+    }
+    return method === 'POST' && /^\/api\/(?:models|datasets|spaces)\/.+\/paths-info\//.test(hubPath);
+}
+
+/**
+ * 将上游地址改写为代理地址
+ * Hub 地址（含相对地址）改写到 /hf，允许的存储地址改写到 /hf/_cdn/<host>
+ */
+function rewriteLocation(location, base) {
+    const { upstream, cdnHosts } = getConfig().huggingface;
+    if (location.startsWith('/')) {
+        return `${base}/hf${location}`;
+    }
+
+    let url;
+    try {
+        url = new URL(location);
+    } catch {
+        return location;
+    }
+    if (url.host === upstream) {
+        return `${base}/hf${url.pathname}${url.search}`;
+    }
+    if (url.protocol === 'https:' && matchesPattern(url.host, cdnHosts)) {
+        return `${base}/hf/_cdn/${url.host}${url.pathname}${url.search}`;
+    }
+    return location;
+}
+
+/**
+ * 代理请求到上游并流式返回
+ * 不跟随重定向：客户端需要看到 302 与 X-Linked-Etag 等头，再经由代理下载重定向地址
+ */
+async function forwardRequest(req, res, upstreamURL, authorization) {
+    const headers = {};
+    for (const name of FORWARD_REQUEST_HEADERS) {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    }
+    if (authorization) {
+        headers['authorization'] = authorization;
+    }
+
+    const response = await fetch(upstreamURL, {
+        method: req.method,
+        headers,
+        body: req.method === 'POST' ? req : undefined,
+        redirect: 'manual',
+        compress: false, // 原样透传，保证 Content-Length 与 Content-Range 准确
+    });
+
+    const base = getProxyBaseURL(req);
+    for (const [key, value] of response.headers.entries()) {
+        if (SKIPPED_RESPONSE_HEADERS.includes(key)) {
+            continue;
+        }
+        if (key === 'location') {
+            res.set(key, rewriteLocation(value, base));
+        } else if (key === 'link') {
+            // 分页与 xet-auth 链接
+            res.set(key, value.replace(/<([^>]+)>/g, (match, url) => `<${rewriteLocation(url, base)}>`));
+        } else {
+            res.set(key, value);
+        }
+    }
+    res.status(response.status);
+
+    if (req.method === 'HEAD') {
+        response.body.resume();
+        return res.end();
+    }
+    response.body.on('error', (error) => {
+        console.error(`Hugging Face 传输失败 ${upstreamURL}: ${error.message}`);
+        res.destroy(error);
+    });
+    response.body.pipe(res);
+}
+
+/**
+ * 获取发送给上游的凭据
+ * 客户端的 HF Token 用于访问需授权的模型；启用代理认证时 Authorization 是代理凭据，不转发
+ * 配置的 Token 可访问运营者有权限的私有与授权模型，只用于已认证的代理用户，匿名请求须显式开启 anonymousToken
+ */
+function getUpstreamAuthorization(req) {
+    if (req.headers.authorization && !isAuthRequired('github')) {
+        return req.headers.authorization;
+    }
+    const { token, anonymousToken } = getConfig().huggingface;
+    if (!token || (!req.user && anonymousToken !== true)) {
+        return '';
+    }
+    return `Bearer ${token}`;
+}
+
+/**
+ * Hugging Face Hub 请求处理器
+ */
+async function huggingFaceHandler(req, res) {
+    const hubPath = req.path.replace(/^\/hf/, '') || '/';
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+
+    if (!isAllowedMethod(req.method, hubPath)) {
+        return res.status(405).json({ error: '仅支持下载与查询，不支持通过代理修改仓库' });
+    }
+
+    let repository;
+    try {
+        repository = parseRepository(hubPath);
+    } catch {
+        return res.status(400).json({ error: '无效的路径' });
+    }
+    if (repository) {
+        const repoPath = repository.owner ? `${repository.owner}/${repository.name}` : repository.name;
+        const { allowed, reason } = checkGitHubAccess(repository.owner, repository.name);
+        if (!allowed) {
+            console.log(`Hugging Face 仓库 ${repoPath} 访问被拒绝: ${reason}`);
+            return res.status(403).json({ error: reason });
+        }
+        const userAccess = checkUserAccess(req.user, repoPath);
+        if (!userAccess.allowed) {
+            console.log(`Hugging Face 仓库 ${repoPath} 访问被拒绝: ${userAccess.reason}`);
+            return res.status(403).json({ error: userAccess.reason });
+        }
+    }
+
+    try {
+        await forwardRequest(req, res, `https://${getConfig().huggingface.upstream}${hubPath}${query}`, getUpstreamAuthorization(req));
+    } catch (error) {
+        console.error(`Hugging Face 代理错误: ${error.message}`);
+        res.status(502).json({ error: `上游错误: ${error.message}` });
+    }
+}
+
+/**
+ * LFS / Xet 存储地址代理
+ * 地址由 resolve 的重定向给出，已包含签名，不转发客户端凭据
+ * 路由参数已被解码，须先校验主机名格式，避免 %2F、%23 等字符改变实际请求的主机
+ */
+async function huggingFaceCDNHandler(req, res) {
+    const host = req.params.host.toLowerCase();
+    if (!HOSTNAME_RE.test(host) || !matchesPattern(host, getConfig().huggingface.cdnHosts)) {
+        return res.status(403).json({ error: `不支持的存储地址: ${host}` });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    // 使用未解码的路径，保持签名地址原样
+    const rawPath = req.path.slice(req.path.indexOf('/', '/hf/_cdn/'.length));
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    let target;
+    try {
+        target = new URL(`https://${host}${rawPath}${query}`);
+    } catch {
+        return res.status(400).json({ error: '无效的存储地址' });
+    }
+    if (target.host !== host) {
+        return res.status(403).json({ error: `不支持的存储地址: ${host}` });
+    }
+
+    try {
+        await forwardRequest(req, res, target.href, '');
+    } catch (error) {
+        console.error(`Hugging Face 存储代理错误: ${error.message}`);
+        res.status(502).json({ error: `上游错误: ${error.message}` });
+    }
+}
+
+/**
+ * 注册 Hugging Face 路由
+ */
+function registerHuggingFaceRoutes(app) {
+    if (!getConfig().huggingface?.enabled) {
+        return;
+    }
+    app.all('/hf/_cdn/:host/*', requireAuth('github'), huggingFaceCDNHandler);
+    app.all(['/hf', '/hf/*'], requireAuth('github'), huggingFaceHandler);
+}
+
+module.exports = {
+    registerHuggingFaceRoutes,
+    parseRepository,
+};
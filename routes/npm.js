@@ -0,0 +1,259 @@
+/**
+ * npm 镜像
+ * 兼容 npm Registry API，npm config set registry https://your-domain.com/npm/：
+ *   /npm/<name>、/npm/@scope/<name>     包元数据（packument），dist.tarball 改写为经过代理的地址
+ *   /npm/<name>/<version>                指定版本的元数据
+ *   /npm/<name>/-/<file>.tgz             包文件，使用软件包缓存
+ *   /npm/-/...                           搜索、ping 与安全审计，直接转发
+ * 元数据按 Accept 分别缓存（完整与 application/vnd.npm.install-v1+json 精简格式），
+ * 过期后以 If-None-Match 向上游确认，上游不可用时返回过期内容
+ */
+
+const fetch = require('node-fetch');
+const { getConfig } = require('../config');
+const { Cache } = require('../utils/cache');
+const { SingleFlight } = require('../utils/singleFlight');
+const { checkNpmAccess, checkUserAccess } = require('../middleware/accessControl');
+const { requireAuth, getProxyBaseURL } = require('../middleware/auth');
+const { servePackageFile } = require('./packageCache');
+
+// 超过该大小的元数据不缓存
+const MAX_CACHED_METADATA = 16 * 1024 * 1024;
+
+// 缓存条目保留时间，过期前可用于条件请求
+const RETAIN_TTL = 24 * 60 * 60 * 1000;
+
+// 允许转发的 POST 接口（npm audit）
+const ALLOWED_POST_PATHS = [
+    '/-/npm/v1/security/advisories/bulk',
+    '/-/npm/v1/security/audits/quick',
+];
+
+// 包名规则，与 npm 的 validate-npm-package-name 一致（不含历史遗留的大写包名）
+const PACKAGE_NAME_RE = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+// 键为 URL 与 Accept，值为 { status, contentType, etag, data, fetchedAt }
+const metadataCache = new Cache(5000, RETAIN_TTL);
+const metadataFlights = new SingleFlight();
+
+/**
+ * 检查版本号或文件名，拒绝可能改变上游路径的字符
+ */
+function isSafeSegment(segment) {
+    return segment !== '.' && segment !== '..' && !/[\\%]/.test(segment);
+}
+
+/**
+ * 解析 /npm/ 之后的路径
+ * 作用域包名中的斜杠可能编码为 %2f
+ * 返回: { name, version } 或 { name, file }，无法识别时返回 null
+ */
+function parseNpmPath(npmPath) {
+    const parts = npmPath.replace(/%2f/gi, '/').split('/').filter(Boolean);
+    const nameLength = parts[0]?.startsWith('@') ? 2 : 1;
+    if (parts.length < nameLength) {
+        return null;
+    }
+
+    let name;
+    try {
+        name = parts.slice(0, nameLength).map(decodeURIComponent).join('/');
+    } catch {
+        return null;
+    }
+    const rest = parts.slice(nameLength);
+    if (!PACKAGE_NAME_RE.test(name) || !rest.every(isSafeSegment)) {
+        return null;
+    }
+    if (rest.length === 0) {
+        return { name, version: '' };
+    }
+    if (rest.length === 1) {
+        return { name, version: rest[0] };
+    }
+    if (rest.length === 2 && rest[0] === '-' && rest[1].endsWith('.tgz')) {
+        return { name, file: rest[1] };
+    }
+    return null;
+}
+
+/**
+ * 检查包的访问权限，拒绝时直接返回 403
+ * 返回: 是否允许
+ */
+function checkPackageAccess(req, res, name) {
+    const { allowed, reason } = checkNpmAccess(name);
+    if (!allowed) {
+        console.log(`npm 包 ${name} 访问被拒绝: ${reason}`);
+        res.status(403).json({ error: reason });
+        return false;
+    }
+    const userAccess = checkUserAccess(req.user, `npm/${name}`);
+    if (!userAccess.allowed) {
+        console.log(`npm 包 ${name} 访问被拒绝: ${userAccess.reason}`);
+        res.status(403).json({ error: userAccess.reason });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 从上游获取元数据并更新缓存
+ * 返回: { entry, cacheStatus }
+ */
+async function refreshMetadata(url, accept, key, cached) {
+    const headers = { 'User-Agent': 'hubproxy', 'Accept': accept };
+    if (cached?.etag) {
+        headers['If-None-Match'] = cached.etag;
+    }
+
+    const response = await fetch(url, { headers, timeout: getConfig().npm.timeout * 1000 });
+    if (response.status === 304 && cached) {
+        response.body.resume();
+        const entry = { ...cached, fetchedAt: Date.now() };
+        metadataCache.set(key, entry);
+        return { entry, cacheStatus: 'REVALIDATED' };
+    }
+
+    const entry = {
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        etag: response.headers.get('etag') || '',
+        data: await response.buffer(),
+        fetchedAt: Date.now(),
+    };
+    if (response.status === 200 && entry.data.length <= MAX_CACHED_METADATA) {
+        metadataCache.set(key, entry);
+    }
+    return { entry, cacheStatus: 'MISS' };
+}
+
+/**
+ * 获取元数据，缓存在 metadataTTL 内直接使用，过期后向上游确认
+ * 上游不可用时使用过期的缓存
+ */
+async function loadMetadata(url, accept) {
+    const key = `${url}|${accept}`;
+    const cached = metadataCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt <= getConfig().npm.metadataTTL * 1000) {
+        return { entry: cached, cacheStatus: 'HIT' };
+    }
+
+    try {
+        return await metadataFlights.do(key, () => refreshMetadata(url, accept, key, cached));
+    } catch (error) {
+        if (!cached) {
+            throw error;
+        }
+        console.warn(`npm 上游不可用，返回过期元数据: ${url}: ${error.message}`);
+        return { entry: cached, cacheStatus: 'STALE' };
+    }
+}
+
+/**
+ * 返回元数据，只改写 dist.tarball 中指向上游的地址
+ */
+function sendMetadata(req, res, entry, cacheStatus) {
+    const { upstream, metadataTTL } = getConfig().npm;
+    const escaped = upstream.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const tarballRE = new RegExp(`("tarball"\\s*:\\s*")https?://${escaped}/`, 'g');
+    const data = Buffer.from(entry.data.toString('utf-8')
+        .replace(tarballRE, `$1${getProxyBaseURL(req)}/npm/`));
+
+    res.set({
+        'Content-Type': entry.contentType || 'application/json',
+        'Content-Length': String(data.length),
+        'Cache-Control': `max-age=${metadataTTL}`,
+        'Vary': 'Accept',
+        'X-Cache': cacheStatus,
+    });
+    if (cacheStatus === 'STALE') {
+        res.set('Warning', '110 hubproxy "Response is stale: upstream unavailable"');
+    }
+    res.status(entry.status);
+    return req.method === 'HEAD' ? res.end() : res.end(data);
+}
+
+/**
+ * 转发搜索、ping 与安全审计请求，不缓存
+ */
+async function forwardRegistryRequest(req, res, npmPath, query) {
+    const { upstream, timeout } = getConfig().npm;
+    const headers = { 'User-Agent': req.headers['user-agent'] || 'hubproxy' };
+    for (const name of ['accept', 'content-type', 'content-encoding', 'content-length']) {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    }
+
+    const response = await fetch(`https://${upstream}${npmPath}${query}`, {
+        method: req.method,
+        headers,
+        body: req.method === 'POST' ? req : undefined,
+        timeout: timeout * 1000,
+    });
+    res.set('Content-Type', response.headers.get('content-type') || 'application/json');
+    res.status(response.status);
+    response.body.on('error', error => res.destroy(error)).pipe(res);
+}
+
+/**
+ * npm 镜像请求处理器
+ */
+async function npmHandler(req, res) {
+    const npmPath = req.path.slice('/npm'.length) || '/';
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    const { upstream } = getConfig().npm;
+
+    try {
+        if (npmPath.startsWith('/-/')) {
+            const allowed = req.method === 'GET' || req.method === 'HEAD' ||
+                (req.method === 'POST' && ALLOWED_POST_PATHS.includes(npmPath));
+            if (!allowed) {
+                return res.status(405).json({ error: '仅支持安装，不支持通过代理发布或登录' });
+            }
+            return await forwardRegistryRequest(req, res, npmPath, query);
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return res.status(405).json({ error: '仅支持安装，不支持通过代理发布或登录' });
+        }
+
+        const target = parseNpmPath(npmPath);
+        if (!target) {
+            return res.status(404).json({ error: 'Not Found' });
+        }
+        if (!checkPackageAccess(req, res, target.name)) {
+            return;
+        }
+
+        if (target.file) {
+            return await servePackageFile(req, res, `https://${upstream}/${target.name}/-/${target.file}`);
+        }
+
+        // 作用域包的元数据地址中斜杠需要编码
+        const encodedName = target.name.replace('/', '%2f');
+        const versionPath = target.version ? `/${target.version}` : '';
+        const accept = req.headers.accept || 'application/json';
+        const { entry, cacheStatus } = await loadMetadata(`https://${upstream}/${encodedName}${versionPath}`, accept);
+        sendMetadata(req, res, entry, cacheStatus);
+    } catch (error) {
+        console.error(`npm 代理错误: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(502).json({ error: `上游错误: ${error.message}` });
+        }
+    }
+}
+
+/**
+ * 注册 npm 镜像路由
+ */
+function registerNpmRoutes(app) {
+    if (!getConfig().npm?.enabled) {
+        return;
+    }
+    app.all(['/npm', '/npm/*'], requireAuth('github'), npmHandler);
+}
+
+module.exports = {
+    registerNpmRoutes,
+};
@@ -0,0 +1,216 @@
+/**
+ * 软件包文件磁盘缓存
+ * PyPI 发行文件、npm 包文件等按 URL 缓存，上游地址包含版本或摘要，内容不会变化，命中后直接返回
+ */
+
+const path = require('path');
+const fetch = require('node-fetch');
+const { getConfig } = require('../config');
+const { DiskCache } = require('../utils/diskCache');
+const { SingleFlight } = require('../utils/singleFlight');
+const { resolveRange, sendFileRange } = require('../utils/range');
+
+// 转发给上游的请求头（未使用缓存时）
+const FORWARD_REQUEST_HEADERS = ['accept', 'accept-encoding', 'range', 'if-range', 'user-agent'];
+
+// 返回给客户端的响应头（未使用缓存时）
+const FORWARD_RESPONSE_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'content-encoding',
+    'accept-ranges',
+    'etag',
+    'last-modified',
+];
+
+let packageCache = null;
+
+const downloadFlights = new SingleFlight();
+
+// 进行中的下载，键为 URL
+const activeDownloads = new Map();
+
+/**
+ * 获取软件包缓存，未启用时返回 null
+ */
+function getPackageCache() {
+    const config = getConfig();
+    if (!config.packageCache?.enabled) {
+        return null;
+    }
+    if (!packageCache) {
+        packageCache = new DiskCache(path.resolve(config.packageCache.dir), config.packageCache.maxSize).init();
+    }
+    return packageCache;
+}
+
+/**
+ * 构建缓存内容的响应头
+ */
+function buildHeaders(meta, cacheStatus) {
+    const headers = {
+        'Content-Type': meta.contentType || 'application/octet-stream',
+        'X-Cache': cacheStatus,
+    };
+    if (meta.etag) {
+        headers['ETag'] = meta.etag;
+    }
+    if (meta.lastModified) {
+        headers['Last-Modified'] = meta.lastModified;
+    }
+    return headers;
+}
+
+/**
+ * 从上游下载文件到缓存
+ * 无法缓存的响应返回 { status }，由调用方改为直接代理
+ */
+async function startDownload(url, cache) {
+    const response = await fetch(url, { headers: { 'User-Agent': 'hubproxy' }, redirect: 'follow' });
+
+    const size = parseInt(response.headers.get('content-length'), 10);
+    const { fileSize } = getConfig().server;
+    if (response.status !== 200 || response.headers.get('content-encoding') || size > fileSize || size > cache.maxSize) {
+        response.body.resume();
+        return { status: response.status };
+    }
+
+    const meta = {
+        url,
+        contentType: response.headers.get('content-type') || '',
+        etag: response.headers.get('etag') || '',
+        lastModified: response.headers.get('last-modified') || '',
+    };
+    const result = { status: 200, size, meta, writer: cache.createWriter(url, { meta }) };
+
+    result.writer.on('error', (error) => {
+        console.error(`软件包文件 ${url} 缓存写入失败: ${error.message}`);
+    });
+    result.writer.on('close', () => {
+        if (activeDownloads.get(url) === result) {
+            activeDownloads.delete(url);
+        }
+    });
+    response.body.on('error', error => result.writer.destroy(error));
+    response.body.pipe(result.writer);
+
+    activeDownloads.set(url, result);
+    return result;
+}
+
+/**
+ * 返回进行中的下载，上游给出长度时支持 Range 请求
+ */
+function serveDownload(req, res, download) {
+    const headers = buildHeaders(download.meta, 'MISS');
+    const range = Number.isNaN(download.size) ? null : resolveRange(req, download.size, headers['ETag'], headers['Last-Modified']);
+
+    res.set(headers);
+    if (range && range.unsatisfiable) {
+        res.set('Content-Range', `bytes */${download.size}`);
+        return res.status(416).end();
+    }
+    if (range) {
+        res.set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${download.size}`,
+            'Content-Length': String(range.end - range.start + 1),
+        });
+        res.status(206);
+    } else {
+        if (!Number.isNaN(download.size)) {
+            res.set('Content-Length', String(download.size));
+        }
+        res.status(200);
+    }
+    res.set('Accept-Ranges', Number.isNaN(download.size) ? 'none' : 'bytes');
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    download.writer.follow(range || {})
+        .on('error', (error) => {
+            console.error(`软件包文件 ${download.meta.url} 传输失败: ${error.message}`);
+            res.destroy(error);
+        })
+        .pipe(res);
+}
+
+/**
+ * 不经过缓存直接代理上游文件
+ */
+async function proxyPackageFile(req, res, url) {
+    const headers = {};
+    for (const name of FORWARD_REQUEST_HEADERS) {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    }
+
+    const response = await fetch(url, { method: req.method, headers, redirect: 'follow', compress: false });
+
+    const contentRange = response.headers.get('content-range') || '';
+    const totalMatch = contentRange.match(/\/(\d+)$/);
+    const size = parseInt(totalMatch ? totalMatch[1] : response.headers.get('content-length'), 10);
+    const { fileSize } = getConfig().server;
+    if (size > fileSize) {
+        response.body.resume();
+        return res.status(413).send(`文件过大，限制大小: ${Math.floor(fileSize / (1024 * 1024))} MB`);
+    }
+
+    for (const name of FORWARD_RESPONSE_HEADERS) {
+        const value = response.headers.get(name);
+        if (value) {
+            res.set(name, value);
+        }
+    }
+    res.status(response.status);
+    if (req.method === 'HEAD') {
+        response.body.resume();
+        return res.end();
+    }
+    response.body.on('error', (error) => {
+        console.error(`软件包文件 ${url} 传输失败: ${error.message}`);
+        res.destroy(error);
+    });
+    response.body.pipe(res);
+}
+
+/**
+ * 返回软件包文件，优先使用磁盘缓存
+ * 没有缓存时 Range 与 HEAD 请求直接代理，其余请求边下载边写入缓存
+ * @param {string} url - 上游文件地址，内容须不可变
+ */
+async function servePackageFile(req, res, url) {
+    try {
+        const cache = getPackageCache();
+        const entry = cache ? cache.get(url) : null;
+        if (entry) {
+            return sendFileRange(req, res, entry.file, entry.size, buildHeaders(entry.meta, 'HIT'));
+        }
+
+        let download = cache ? activeDownloads.get(url) : null;
+        if (!download && cache && !req.headers.range && req.method === 'GET') {
+            download = await downloadFlights.do(url, () => startDownload(url, cache));
+        }
+        if (!download?.writer) {
+            return await proxyPackageFile(req, res, url);
+        }
+
+        const committed = download.writer.committed ? cache.get(url) : null;
+        if (committed) {
+            return sendFileRange(req, res, committed.file, committed.size, buildHeaders(committed.meta, 'HIT'));
+        }
+        serveDownload(req, res, download);
+    } catch (error) {
+        console.error(`软件包文件代理错误 ${url}: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(502).json({ error: `上游错误: ${error.message}` });
+        }
+    }
+}
+
+module.exports = {
+    servePackageFile,
+};
@@ -0,0 +1,193 @@
+/**
+ * 镜像预热任务 API
+ * 在后台拉取镜像的 Manifest 与全部 Blob 到本地缓存
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { checkDockerAccess, checkUserAccess } = require('../middleware/accessControl');
+const { requireAuth } = require('../middleware/auth');
+const { detectRegistryDomain, getManifest, ensureBlobCached } = require('./docker');
+const { rewriteImageName } = require('../utils/imageRewrite');
+const { getAllowedPlatforms, matchesPlatform, isManifestList } = require('../utils/platformPolicy');
+
+// 保留的任务数量上限，超出时删除最早结束的任务
+const MAX_JOBS = 100;
+
+const jobs = new Map();
+
+/**
+ * 解析镜像引用
+ * 例如: nginx:1.27、ghcr.io/org/app@sha256:...
+ * 返回: { registryDomain, imageName, reference }
+ */
+function parseImageReference(ref) {
+    let name = ref.trim();
+    let reference = 'latest';
+
+    const atIndex = name.indexOf('@');
+    if (atIndex >= 0) {
+        reference = name.slice(atIndex + 1);
+        name = name.slice(0, atIndex);
+    } else {
+        const colonIndex = name.lastIndexOf(':');
+        if (colonIndex > name.lastIndexOf('/')) {
+            reference = name.slice(colonIndex + 1);
+            name = name.slice(0, colonIndex);
+        }
+    }
+
+    const { domain, remaining } = detectRegistryDomain(rewriteImageName(name));
+    return { registryDomain: domain, imageName: remaining, reference };
+}
+
+/**
+ * 收集镜像需要下载的 Blob 摘要
+ * 多平台清单按任务指定的平台与全局平台策略过滤后逐个解析子 Manifest
+ */
+async function collectBlobs(image, platforms, item) {
+    const { registryDomain, imageName, reference } = image;
+    const manifest = await getManifest(registryDomain, imageName, reference);
+    item.manifests += 1;
+
+    const parsed = JSON.parse(manifest.data.toString('utf-8'));
+
+    let imageManifests = [parsed];
+    if (isManifestList(parsed, manifest.contentType)) {
+        imageManifests = [];
+        for (const entry of parsed.manifests || []) {
+            if (!matchesPlatform(entry.platform, platforms) || !matchesPlatform(entry.platform, getAllowedPlatforms())) {
+                continue;
+            }
+            const child = await getManifest(registryDomain, imageName, entry.digest);
+            item.manifests += 1;
+            imageManifests.push(JSON.parse(child.data.toString('utf-8')));
+        }
+    }
+
+    const digests = new Set();
+    for (const imageManifest of imageManifests) {
+        if (imageManifest.config?.digest) {
+            digests.add(imageManifest.config.digest);
+        }
+        for (const layer of imageManifest.layers || []) {
+            digests.add(layer.digest);
+        }
+    }
+    return [...digests];
+}
+
+/**
+ * 执行预热任务
+ */
+async function runJob(job) {
+    job.status = 'running';
+
+    for (const item of job.images) {
+        item.status = 'running';
+        try {
+            const image = parseImageReference(item.reference);
+            const digests = await collectBlobs(image, job.platforms, item);
+            item.blobs.total = digests.length;
+
+            for (const digest of digests) {
+                item.blobs.bytes += await ensureBlobCached(image.registryDomain, image.imageName, digest);
+                item.blobs.done += 1;
+            }
+            item.status = 'completed';
+        } catch (error) {
+            console.error(`预热镜像 ${item.reference} 失败: ${error.message}`);
+            item.status = 'failed';
+            item.error = error.message;
+        }
+    }
+
+    job.status = job.images.every(item => item.status === 'completed') ? 'completed' : 'failed';
+    job.finishedAt = new Date().toISOString();
+}
+
+/**
+ * 清理超出数量上限的已结束任务
+ */
+function pruneJobs() {
+    for (const [id, job] of jobs.entries()) {
+        if (jobs.size <= MAX_JOBS) break;
+        if (job.finishedAt) {
+            jobs.delete(id);
+        }
+    }
+}
+
+/**
+ * 创建预热任务
+ * 请求体: { images: ['nginx:1.27', ...], platforms: ['linux/amd64'] }
+ */
+function createPrefetchHandler(req, res) {
+    const { images, platforms = [] } = req.body || {};
+
+    if (!Array.isArray(images) || images.length === 0) {
+        return res.status(400).json({ error: '请提供镜像列表 (images)' });
+    }
+    if (!Array.isArray(platforms)) {
+        return res.status(400).json({ error: 'platforms 必须为数组' });
+    }
+
+    // 提交前检查访问权限
+    for (const ref of images) {
+        const { registryDomain, imageName, reference } = parseImageReference(String(ref));
+        const fullImageName = registryDomain ? `${registryDomain}/${imageName}` : imageName;
+        const checks = [checkDockerAccess(fullImageName, reference), checkUserAccess(req.user, fullImageName)];
+        for (const { allowed, reason } of checks) {
+            if (!allowed) {
+                return res.status(403).json({ error: `${ref}: ${reason}` });
+            }
+        }
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        platforms,
+        images: images.map(ref => ({
+            reference: String(ref),
+            status: 'pending',
+            error: null,
+            manifests: 0,
+            blobs: { total: 0, done: 0, bytes: 0 },
+        })),
+    };
+    jobs.set(job.id, job);
+    pruneJobs();
+
+    runJob(job).catch((error) => {
+        console.error(`预热任务 ${job.id} 异常: ${error.message}`);
+    });
+
+    res.status(202).json({ id: job.id, status: job.status, url: `/api/prefetch/${job.id}` });
+}
+
+/**
+ * 查询预热任务进度
+ */
+function getPrefetchHandler(req, res) {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: '任务不存在' });
+    }
+    res.json(job);
+}
+
+/**
+ * 注册预热任务路由
+ */
+function registerPrefetchRoutes(app) {
+    app.post('/api/prefetch', requireAuth('docker'), express.json(), createPrefetchHandler);
+    app.get('/api/prefetch/:id', requireAuth('docker'), getPrefetchHandler);
+}
+
+module.exports = {
+    registerPrefetchRoutes,
+    parseImageReference,
+};
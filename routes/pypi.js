@@ -0,0 +1,262 @@
+/**
+ * PyPI 镜像
+ * 兼容 PEP 503 / PEP 691 的 Simple API，pip install --index-url https://your-domain.com/pypi/simple：
+ *   /pypi/simple/             项目列表
+ *   /pypi/simple/<project>/   项目文件列表，files.pythonhosted.org 的链接改写为 /pypi/files/...
+ *   /pypi/files/<path>        发行文件，使用软件包缓存
+ * 项目页面缓存在内存中，过期后以 If-None-Match 向上游确认，上游不可用时返回过期页面
+ */
+
+const fetch = require('node-fetch');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { getConfig } = require('../config');
+const { Cache } = require('../utils/cache');
+const { SingleFlight } = require('../utils/singleFlight');
+const { checkPyPIAccess, checkUserAccess } = require('../middleware/accessControl');
+const { requireAuth, getProxyBaseURL } = require('../middleware/auth');
+const { servePackageFile } = require('./packageCache');
+
+// 超过该大小的页面不缓存
+const MAX_CACHED_INDEX = 8 * 1024 * 1024;
+
+// 缓存条目保留时间，过期前可用于条件请求
+const RETAIN_TTL = 24 * 60 * 60 * 1000;
+
+// 键为 URL 与 Accept，值为 { status, contentType, etag, data, fetchedAt }
+const indexCache = new Cache(5000, RETAIN_TTL);
+const indexFlights = new SingleFlight();
+
+/**
+ * 规范化项目名（PEP 503）
+ */
+function normalizeProject(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * 从发行文件名中解析项目名
+ * wheel（PEP 427）与 egg 的项目名已将 - 转义为 _，取第一个 - 之前的部分；
+ * sdist（PEP 625）为 <name>-<version>.tar.gz，版本不含 -，取最后一个 - 之前的部分
+ */
+function projectFromFileName(fileName) {
+    const lowerName = fileName.toLowerCase();
+    const separator = lowerName.endsWith('.whl') || lowerName.endsWith('.egg')
+        ? fileName.indexOf('-')
+        : fileName.lastIndexOf('-');
+    return separator > 0 ? normalizeProject(fileName.slice(0, separator)) : '';
+}
+
+/**
+ * 检查项目的访问权限，拒绝时直接返回 403
+ * 返回: 是否允许
+ */
+function checkProjectAccess(req, res, project) {
+    const { allowed, reason } = checkPyPIAccess(project);
+    if (!allowed) {
+        console.log(`PyPI 项目 ${project} 访问被拒绝: ${reason}`);
+        res.status(403).json({ error: reason });
+        return false;
+    }
+    const userAccess = checkUserAccess(req.user, `pypi/${project}`);
+    if (!userAccess.allowed) {
+        console.log(`PyPI 项目 ${project} 访问被拒绝: ${userAccess.reason}`);
+        res.status(403).json({ error: userAccess.reason });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 从上游获取项目页面并更新缓存
+ * 返回: { entry, cacheStatus }
+ */
+async function refreshIndex(url, accept, key, cached) {
+    const headers = { 'User-Agent': 'hubproxy', 'Accept': accept };
+    if (cached?.etag) {
+        headers['If-None-Match'] = cached.etag;
+    }
+
+    const response = await fetch(url, { headers, timeout: getConfig().pypi.timeout * 1000 });
+    if (response.status === 304 && cached) {
+        response.body.resume();
+        const entry = { ...cached, fetchedAt: Date.now() };
+        indexCache.set(key, entry);
+        return { entry, cacheStatus: 'REVALIDATED' };
+    }
+
+    const entry = {
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        etag: response.headers.get('etag') || '',
+        data: await response.buffer(),
+        fetchedAt: Date.now(),
+    };
+    if (response.status === 200 && entry.data.length <= MAX_CACHED_INDEX) {
+        indexCache.set(key, entry);
+    }
+    return { entry, cacheStatus: 'MISS' };
+}
+
+/**
+ * 获取项目页面，缓存在 indexTTL 内直接使用，过期后向上游确认
+ * 上游不可用时使用过期的缓存
+ */
+async function loadIndex(url, accept) {
+    const key = `${url}|${accept}`;
+    const cached = indexCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt <= getConfig().pypi.indexTTL * 1000) {
+        return { entry: cached, cacheStatus: 'HIT' };
+    }
+
+    try {
+        return await indexFlights.do(key, () => refreshIndex(url, accept, key, cached));
+    } catch (error) {
+        if (!cached) {
+            throw error;
+        }
+        console.warn(`PyPI 上游不可用，返回过期页面: ${url}: ${error.message}`);
+        return { entry: cached, cacheStatus: 'STALE' };
+    }
+}
+
+/**
+ * 返回项目页面，发行文件链接改写为经过代理的地址
+ * HTML 与 JSON 格式中的链接均为完整地址，直接替换前缀
+ */
+function sendIndex(req, res, entry, cacheStatus) {
+    const { filesUpstream, indexTTL } = getConfig().pypi;
+    const data = Buffer.from(entry.data.toString('utf-8')
+        .split(`https://${filesUpstream}/`)
+        .join(`${getProxyBaseURL(req)}/pypi/files/`));
+
+    res.set({
+        'Content-Type': entry.contentType || 'text/html',
+        'Content-Length': String(data.length),
+        'Cache-Control': `max-age=${indexTTL}`,
+        'Vary': 'Accept',
+        'X-Cache': cacheStatus,
+    });
+    if (cacheStatus === 'STALE') {
+        res.set('Warning', '110 hubproxy "Response is stale: upstream unavailable"');
+    }
+    res.status(entry.status);
+    return req.method === 'HEAD' ? res.end() : res.end(data);
+}
+
+/**
+ * 创建按行改写的流，用于体积较大的项目列表
+ */
+function createLineRewriter(rewrite) {
+    const decoder = new StringDecoder('utf8');
+    let carry = '';
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const text = carry + decoder.write(chunk);
+            const end = text.lastIndexOf('\n') + 1;
+            carry = text.slice(end);
+            callback(null, rewrite(text.slice(0, end)));
+        },
+        flush(callback) {
+            callback(null, rewrite(carry + decoder.end()));
+        },
+    });
+}
+
+/**
+ * 项目列表
+ * 上游 HTML 中的项目链接为 /simple/<project>/，改写到 /pypi/simple/ 下；不缓存
+ */
+async function pypiRootHandler(req, res) {
+    const { upstream, timeout } = getConfig().pypi;
+    try {
+        const response = await fetch(`https://${upstream}/simple/`, {
+            method: req.method,
+            headers: { 'User-Agent': 'hubproxy', 'Accept': req.headers.accept || 'text/html' },
+            timeout: timeout * 1000,
+        });
+        res.set({
+            'Content-Type': response.headers.get('content-type') || 'text/html',
+            'Vary': 'Accept',
+        });
+        res.status(response.status);
+        if (req.method === 'HEAD') {
+            response.body.resume();
+            return res.end();
+        }
+        response.body
+            .on('error', error => res.destroy(error))
+            .pipe(createLineRewriter(text => text.replace(/href="\/simple\//g, 'href="/pypi/simple/')))
+            .pipe(res);
+    } catch (error) {
+        console.error(`PyPI 代理错误: ${error.message}`);
+        res.status(502).json({ error: `上游错误: ${error.message}` });
+    }
+}
+
+/**
+ * 项目文件列表
+ * 未规范化的项目名与缺少结尾斜杠的请求重定向到规范地址，与 pypi.org 一致
+ */
+async function pypiProjectHandler(req, res) {
+    const project = normalizeProject(req.params.project);
+    if (project !== req.params.project || !req.path.endsWith('/')) {
+        return res.redirect(301, `/pypi/simple/${project}/`);
+    }
+    if (!checkProjectAccess(req, res, project)) {
+        return;
+    }
+
+    const { upstream } = getConfig().pypi;
+    try {
+        const { entry, cacheStatus } = await loadIndex(`https://${upstream}/simple/${project}/`, req.headers.accept || 'text/html');
+        sendIndex(req, res, entry, cacheStatus);
+    } catch (error) {
+        console.error(`PyPI 代理错误: ${error.message}`);
+        res.status(502).json({ error: `上游错误: ${error.message}` });
+    }
+}
+
+/**
+ * 发行文件下载
+ * /pypi/files/packages/<hash>/<filename>，按文件名中的项目名检查访问权限
+ */
+async function pypiFileHandler(req, res) {
+    const filePath = req.path.slice('/pypi/files/'.length);
+    if (!filePath.startsWith('packages/')) {
+        return res.status(404).json({ error: 'Not Found' });
+    }
+
+    let fileName;
+    try {
+        fileName = decodeURIComponent(filePath.slice(filePath.lastIndexOf('/') + 1));
+    } catch {
+        return res.status(400).json({ error: '无效的文件名' });
+    }
+    if (!checkProjectAccess(req, res, projectFromFileName(fileName))) {
+        return;
+    }
+    await servePackageFile(req, res, `https://${getConfig().pypi.filesUpstream}/${filePath}`);
+}
+
+/**
+ * 注册 PyPI 镜像路由
+ * 未开启严格路由，/pypi/simple/:project 同时匹配带与不带结尾斜杠的地址
+ */
+function registerPyPIRoutes(app) {
+    if (!getConfig().pypi?.enabled) {
+        return;
+    }
+    app.get('/pypi/simple', requireAuth('github'), (req, res, next) => {
+        if (!req.path.endsWith('/')) {
+            return res.redirect(301, '/pypi/simple/');
+        }
+        next();
+    }, pypiRootHandler);
+    app.get('/pypi/simple/:project', requireAuth('github'), pypiProjectHandler);
+    app.get('/pypi/files/*', requireAuth('github'), pypiFileHandler);
+}
+
+module.exports = {
+    registerPyPIRoutes,
+};
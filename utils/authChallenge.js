@@ -0,0 +1,80 @@
+/**
+ * Registry 认证质询发现
+ * 探测上游 /v2/ 端点，解析 WWW-Authenticate 质询以确定认证方式
+ */
+
+const fetch = require('node-fetch');
+const { Cache } = require('./cache');
+const { SingleFlight } = require('./singleFlight');
+
+// 质询按上游地址缓存 1 小时，探测失败时缓存 1 分钟避免频繁重试
+const CHALLENGE_TTL = 60 * 60 * 1000;
+const FAILURE_TTL = 60 * 1000;
+const PROBE_TIMEOUT = 10 * 1000;
+
+const challengeCache = new Cache(200, CHALLENGE_TTL);
+const probeFlights = new SingleFlight();
+
+/**
+ * 解析 WWW-Authenticate 头
+ * 例如: Bearer realm="https://auth.docker.io/token",service="registry.docker.io"
+ * 返回: { scheme: 'bearer' | 'basic', params: { realm, service, ... } } 或 null
+ */
+function parseAuthChallenge(header) {
+    if (!header) {
+        return null;
+    }
+
+    const match = header.trim().match(/^(\w+)\s*(.*)$/);
+    if (!match) {
+        return null;
+    }
+
+    const scheme = match[1].toLowerCase();
+    const params = {};
+    const paramPattern = /(\w+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+    let param;
+    while ((param = paramPattern.exec(match[2])) !== null) {
+        params[param[1].toLowerCase()] = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+    }
+
+    return { scheme, params };
+}
+
+/**
+ * 探测上游 Registry 的认证质询
+ * 返回: { scheme: 'none' } 表示无需认证；{ scheme, params } 为解析后的质询；
+ * 探测失败时返回 null
+ */
+async function discoverAuthChallenge(upstream) {
+    const cacheKey = `challenge:${upstream}`;
+    const cached = challengeCache.get(cacheKey);
+    if (cached) {
+        return cached.challenge;
+    }
+
+    return probeFlights.do(cacheKey, async () => {
+        let challenge = null;
+        try {
+            const response = await fetch(`https://${upstream}/v2/`, {
+                redirect: 'follow',
+                timeout: PROBE_TIMEOUT,
+            });
+            if (response.ok) {
+                challenge = { scheme: 'none', params: {} };
+            } else if (response.status === 401) {
+                challenge = parseAuthChallenge(response.headers.get('www-authenticate'));
+            }
+        } catch (error) {
+            console.error(`探测 ${upstream} 认证方式失败: ${error.message}`);
+        }
+
+        challengeCache.set(cacheKey, { challenge }, challenge ? CHALLENGE_TTL : FAILURE_TTL);
+        return challenge;
+    });
+}
+
+module.exports = {
+    parseAuthChallenge,
+    discoverAuthChallenge,
+};
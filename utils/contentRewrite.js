@@ -0,0 +1,145 @@
+/**
+ * 文本内容改写
+ * 将脚本、配置文件与 API 响应中指向受支持域名的链接改写为经过代理的地址，
+ * 使安装脚本后续的下载同样走代理。按块流式处理，支持 gzip/deflate/br 压缩的响应
+ */
+
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { getConfig } = require('../config');
+const { wildcardMatch, matchesPattern } = require('../middleware/accessControl');
+const { matchProxyHost } = require('./proxyHosts');
+
+// 链接：前面不是路径或单词字符（避免重复改写已带代理前缀的链接）
+const URL_RE = /(?<![\w/.-])https?:\/\/([a-zA-Z0-9.-]+)(?::\d+)?(?:[/?#][^\s"'<>`\\]*)?/g;
+
+// 链接不会跨越的分隔字符，用于确定每块可安全处理的位置
+const BOUNDARY_RE = /[\s"'<>`]/g;
+
+// 未遇到分隔字符时最多保留的字符数
+const MAX_CARRY = 64 * 1024;
+
+/**
+ * 获取 URL 路径的文件名
+ */
+function getFileName(url) {
+    try {
+        const pathname = decodeURIComponent(new URL(url).pathname);
+        return pathname.slice(pathname.lastIndexOf('/') + 1);
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * 检查文件名是否匹配改写规则
+ * 以 . 开头的规则匹配扩展名，其余按文件名通配符匹配（如 Dockerfile、Makefile）
+ */
+function matchesFileRule(fileName, files) {
+    const lowerName = fileName.toLowerCase();
+    return files.some(rule => (rule.startsWith('.')
+        ? lowerName.endsWith(rule.toLowerCase())
+        : wildcardMatch(rule, fileName)));
+}
+
+/**
+ * 按 URL 判断是否需要改写（在请求上游前确定）
+ */
+function isRewritableURL(url) {
+    const { contentRewrite } = getConfig();
+    if (!contentRewrite?.enabled) {
+        return false;
+    }
+    return matchesFileRule(getFileName(url), contentRewrite.files || []);
+}
+
+/**
+ * 按 URL 或响应的 Content-Type 判断是否需要改写
+ */
+function shouldRewrite(url, contentType) {
+    const { contentRewrite } = getConfig();
+    if (!contentRewrite?.enabled) {
+        return false;
+    }
+    const baseType = (contentType || '').split(';')[0].trim().toLowerCase();
+    return isRewritableURL(url) || (contentRewrite.contentTypes || []).includes(baseType);
+}
+
+/**
+ * 改写文本中的链接
+ * 只改写代理能够处理的地址，例如 API 响应中的 html_url 与 api.github.com/users 链接保持原样
+ * @param {string} prefix - 代理地址，例如 https://proxy.example.com
+ */
+function rewriteText(text, prefix) {
+    const hosts = getConfig().contentRewrite.hosts || [];
+    return text.replace(URL_RE, (match, host) => (
+        matchesPattern(host, hosts) && matchProxyHost(match) ? `${prefix}/${match}` : match
+    ));
+}
+
+/**
+ * 创建流式改写器
+ * 每块只处理到最后一个分隔字符，剩余部分与下一块拼接，保证链接不会被截断
+ */
+function createRewriteStream(prefix) {
+    const decoder = new StringDecoder('utf8');
+    let carry = '';
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const text = carry + decoder.write(chunk);
+            let cut = -1;
+            BOUNDARY_RE.lastIndex = 0;
+            for (let match = BOUNDARY_RE.exec(text); match; match = BOUNDARY_RE.exec(text)) {
+                cut = match.index;
+            }
+            if (cut < 0 && text.length <= MAX_CARRY) {
+                carry = text;
+                return callback();
+            }
+            const end = cut < 0 ? text.length : cut;
+            carry = text.slice(end);
+            callback(null, rewriteText(text.slice(0, end), prefix));
+        },
+        flush(callback) {
+            callback(null, rewriteText(carry + decoder.end(), prefix));
+        },
+    });
+}
+
+// 支持的压缩格式：[解压, 压缩]
+const CODECS = {
+    gzip: [() => zlib.createGunzip(), () => zlib.createGzip()],
+    'x-gzip': [() => zlib.createGunzip(), () => zlib.createGzip()],
+    deflate: [() => zlib.createInflate(), () => zlib.createDeflate()],
+    br: [() => zlib.createBrotliDecompress(), () => zlib.createBrotliCompress()],
+};
+
+/**
+ * 检查压缩格式是否支持改写
+ */
+function isSupportedEncoding(encoding) {
+    return !encoding || encoding === 'identity' || !!CODECS[encoding.toLowerCase()];
+}
+
+/**
+ * 构建改写管道：按需解压，改写后以相同格式重新压缩
+ * @param {string} encoding - 上游响应的 Content-Encoding
+ * 返回: 流数组，供 stream.pipeline 使用
+ */
+function createRewritePipeline(encoding, prefix) {
+    const codec = encoding ? CODECS[encoding.toLowerCase()] : null;
+    if (!codec) {
+        return [createRewriteStream(prefix)];
+    }
+    return [codec[0](), createRewriteStream(prefix), codec[1]()];
+}
+
+module.exports = {
+    isRewritableURL,
+    shouldRewrite,
+    rewriteText,
+    isSupportedEncoding,
+    createRewritePipeline,
+};
@@ -0,0 +1,229 @@
+/**
+ * Cosign 签名校验策略
+ * 策略文件列出镜像模式与受信任的公钥，匹配的镜像必须带有可用公钥校验通过的 cosign 签名
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { Cache } = require('./cache');
+const { SingleFlight } = require('./singleFlight');
+const { matchesPattern } = require('../middleware/accessControl');
+const { buildSubjectTag, parseSubjectTag } = require('./referrers');
+
+const SIMPLE_SIGNING_TYPE = 'application/vnd.dev.cosign.simplesigning.v1+json';
+const SIGNATURE_ANNOTATION = 'dev.cosignproject.cosign/signature';
+
+// cosign 附属制品标签的后缀，以及可运行镜像的文件系统层类型
+const ARTIFACT_TAG_RE = /\.(sig|att|sbom)$/;
+const FILESYSTEM_LAYER_RE = /^application\/vnd\.(oci\.image\.layer|docker\.image\.rootfs)\./;
+const DIGEST_RE = /^sha256:[a-f0-9]{64}$/;
+
+// 签名载荷的大小上限
+const MAX_PAYLOAD_SIZE = 1024 * 1024;
+
+// 校验通过的结果缓存较久，失败结果短暂缓存以便签名补上后尽快生效
+const VERIFIED_TTL = 24 * 60 * 60 * 1000;
+const FAILURE_TTL = 60 * 1000;
+
+const verifyCache = new Cache(10000, VERIFIED_TTL);
+const verifyFlights = new SingleFlight();
+
+// 已加载的策略及策略文件的修改时间
+let loadedPolicy = null;
+
+/**
+ * 加载公钥，支持 PEM 文本或相对策略文件的路径
+ */
+function loadKey(key, baseDir) {
+    const pem = key.includes('-----BEGIN') ? key : fs.readFileSync(path.resolve(baseDir, key), 'utf-8');
+    return crypto.createPublicKey(pem);
+}
+
+/**
+ * 读取策略文件，文件修改后自动重新加载
+ * 格式:
+ *   [[policies]]
+ *   images = ["ghcr.io/our-org/*"]
+ *   keys = ["keys/cosign.pub"]
+ */
+function getPolicies() {
+    const file = path.resolve(getConfig().cosign.policyFile);
+    const mtime = fs.statSync(file).mtimeMs;
+    if (loadedPolicy && loadedPolicy.file === file && loadedPolicy.mtime === mtime) {
+        return loadedPolicy.policies;
+    }
+
+    const toml = require('@iarna/toml');
+    const parsed = toml.parse(fs.readFileSync(file, 'utf-8'));
+    const policies = (parsed.policies || []).map(policy => ({
+        images: policy.images || [],
+        keys: (policy.keys || []).map(key => loadKey(key, path.dirname(file))),
+    }));
+
+    loadedPolicy = { file, mtime, policies };
+    verifyCache.clear();
+    console.log(`已加载签名策略 ${file}: ${policies.length} 条`);
+    return policies;
+}
+
+/**
+ * 查找镜像适用的签名策略
+ * 返回: { keys } 需要校验；{ deny: true } 未匹配策略且默认拒绝或策略无法加载；null 无需校验
+ */
+function findSignaturePolicy(imageName) {
+    const { cosign } = getConfig();
+    if (!cosign?.enabled) {
+        return null;
+    }
+
+    // 策略文件无法加载时拒绝所有镜像，避免静默放行
+    let policies;
+    try {
+        policies = getPolicies();
+    } catch (error) {
+        console.error(`加载签名策略失败: ${error.message}`);
+        return { deny: true, reason: `签名策略加载失败: ${error.message}` };
+    }
+
+    const policy = policies.find(item => matchesPattern(imageName, item.images));
+    if (policy) {
+        return policy;
+    }
+    return cosign.defaultAction === 'deny' ? { deny: true } : null;
+}
+
+/**
+ * 使用任一公钥校验签名
+ */
+function verifyWithKeys(payload, signature, keys) {
+    return keys.some((key) => {
+        try {
+            // Ed25519 不使用摘要算法，ECDSA 与 RSA 使用 sha256
+            const algorithm = key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+            return crypto.verify(algorithm, payload, key, signature);
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * 校验签名载荷是否指向该摘要
+ */
+function payloadMatches(payload, digest) {
+    try {
+        const body = JSON.parse(payload.toString('utf-8'));
+        return body.critical?.image?.['docker-manifest-digest'] === digest;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 读取签名 Manifest 并逐个校验签名层
+ * @param {object} fetchers - { manifest(tag), blob(digest, maxSize) } 从上游读取签名内容
+ */
+async function checkSignatures(digest, keys, fetchers) {
+    let signatureManifest;
+    try {
+        signatureManifest = JSON.parse((await fetchers.manifest(`${buildSubjectTag(digest)}.sig`)).data.toString('utf-8'));
+    } catch (error) {
+        return { allowed: false, reason: `未找到签名 (${error.message})` };
+    }
+
+    const layers = (signatureManifest.layers || []).filter(layer =>
+        layer.mediaType === SIMPLE_SIGNING_TYPE && layer.annotations?.[SIGNATURE_ANNOTATION]);
+    if (layers.length === 0) {
+        return { allowed: false, reason: '签名 Manifest 中没有 cosign 签名' };
+    }
+
+    for (const layer of layers) {
+        const payload = await fetchers.blob(layer.digest, MAX_PAYLOAD_SIZE);
+        if (!payloadMatches(payload, digest)) {
+            continue;
+        }
+        const signature = Buffer.from(layer.annotations[SIGNATURE_ANNOTATION], 'base64');
+        if (verifyWithKeys(payload, signature, keys)) {
+            return { allowed: true, reason: '' };
+        }
+    }
+    return { allowed: false, reason: '没有可被受信任公钥校验通过的签名' };
+}
+
+/**
+ * 校验镜像摘要的 cosign 签名
+ * @param {string} imageName - 完整镜像名
+ * @param {string} digest - Manifest 摘要
+ * @param {object} policy - findSignaturePolicy 返回的策略
+ * @param {object} fetchers - { manifest(tag), blob(digest, maxSize) }
+ * @returns {Promise<{ allowed: boolean, reason: string }>}
+ */
+async function verifyImageSignature(imageName, digest, policy, fetchers) {
+    if (policy.deny) {
+        return { allowed: false, reason: policy.reason || `${imageName} 未配置签名策略，默认拒绝` };
+    }
+
+    const key = `${imageName}@${digest}`;
+    const cached = verifyCache.get(key);
+    if (cached) {
+        return cached;
+    }
+
+    return verifyFlights.do(key, async () => {
+        let result;
+        try {
+            result = await checkSignatures(digest, policy.keys, fetchers);
+        } catch (error) {
+            // 网络错误不缓存
+            return { allowed: false, reason: `签名校验失败: ${error.message}` };
+        }
+        if (!result.allowed) {
+            result.reason = `${imageName}@${digest} ${result.reason}`;
+        }
+        verifyCache.set(key, result, result.allowed ? VERIFIED_TTL : FAILURE_TTL);
+        return result;
+    });
+}
+
+/**
+ * 识别签名、证明、SBOM 等附属制品，返回其指向的镜像摘要
+ * 附属制品须是不含文件系统层的单个 Manifest，并通过 sha256-<hex>.sig/.att/.sbom 标签或 subject 字段指向镜像；
+ * 两者同时存在时必须一致
+ * @param {string} reference - 请求的标签或摘要
+ * @param {object} manifest - 已解析的 Manifest
+ * 返回: 被引用的镜像摘要，不是附属制品时返回 null
+ */
+function findArtifactSubject(reference, manifest) {
+    if (!manifest || manifest.manifests || !Array.isArray(manifest.layers)) {
+        return null;
+    }
+    if (manifest.layers.some(layer => typeof layer?.mediaType !== 'string' || FILESYSTEM_LAYER_RE.test(layer.mediaType))) {
+        return null;
+    }
+
+    const tagSubject = ARTIFACT_TAG_RE.test(reference || '') ? parseSubjectTag(reference) : null;
+    const subject = manifest.subject?.digest;
+    if (subject !== undefined && (!DIGEST_RE.test(subject) || (tagSubject && subject !== tagSubject))) {
+        return null;
+    }
+    return tagSubject || subject || null;
+}
+
+/**
+ * 将摘要标记为已校验
+ * 已签名的多平台清单中的子 Manifest，以及代理按平台过滤后生成的清单，无需单独签名
+ */
+function markVerified(imageName, digests) {
+    for (const digest of digests) {
+        verifyCache.set(`${imageName}@${digest}`, { allowed: true, reason: '' }, VERIFIED_TTL);
+    }
+}
+
+module.exports = {
+    findSignaturePolicy,
+    verifyImageSignature,
+    findArtifactSubject,
+    markVerified,
+};
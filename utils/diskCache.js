@@ -0,0 +1,373 @@
+/**
+ * 磁盘缓存模块
+ * 按键（内容摘要或 URL）持久化存储文件，支持容量上限与 LRU 淘汰
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+
+const DIGEST_RE = /^sha256:([a-f0-9]{64})$/;
+
+/**
+ * 判断是否为可校验的 sha256 摘要
+ */
+function isSha256Digest(value) {
+    return DIGEST_RE.test(value || '');
+}
+
+/**
+ * 磁盘缓存
+ * 每个条目由数据文件和同名 .json 元数据文件组成
+ */
+class DiskCache {
+    constructor(dir, maxSize) {
+        this.dir = dir;
+        this.maxSize = maxSize;
+        // Map 的插入顺序即 LRU 顺序，最久未访问的在最前
+        this.entries = new Map();
+        this.totalSize = 0;
+    }
+
+    /**
+     * 扫描磁盘目录，重建索引
+     */
+    init() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        // 清理上次未完成的临时文件
+        const tmpDir = path.join(this.dir, 'tmp');
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        fs.mkdirSync(tmpDir, { recursive: true });
+
+        const found = [];
+        const walk = (dir) => {
+            for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+                const itemPath = path.join(dir, item.name);
+                if (item.isDirectory()) {
+                    if (itemPath !== tmpDir) walk(itemPath);
+                    continue;
+                }
+                if (!item.name.endsWith('.json')) continue;
+
+                const file = itemPath.slice(0, -'.json'.length);
+                try {
+                    const meta = JSON.parse(fs.readFileSync(itemPath, 'utf-8'));
+                    const stat = fs.statSync(file);
+                    found.push({ key: meta.key, file, size: stat.size, meta, mtime: stat.mtimeMs });
+                } catch {
+                    // 元数据损坏或数据文件缺失，删除残留
+                    fs.rmSync(itemPath, { force: true });
+                    fs.rmSync(file, { force: true });
+                }
+            }
+        };
+        walk(this.dir);
+
+        found.sort((a, b) => a.mtime - b.mtime);
+        for (const { key, file, size, meta } of found) {
+            this.entries.set(key, { file, size, meta });
+            this.totalSize += size;
+        }
+        this.evict();
+
+        console.log(`磁盘缓存 ${this.dir}: ${this.entries.size} 个条目，${Math.round(this.totalSize / (1024 * 1024))} MB`);
+        return this;
+    }
+
+    /**
+     * 计算键对应的文件路径
+     * sha256 摘要直接使用摘要值，其他键取其 sha256
+     */
+    filePath(key) {
+        const match = key.match(DIGEST_RE);
+        const hex = match ? match[1] : crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.dir, 'data', hex.slice(0, 2), hex);
+    }
+
+    /**
+     * 获取缓存条目并更新访问顺序
+     * 返回: { file, size, meta } 或 null
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        const now = new Date();
+        fs.utimes(entry.file, now, now, () => {});
+        return entry;
+    }
+
+    /**
+     * 检查缓存是否存在
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * 创建写入流，写入完成并校验通过后提交到缓存
+     * @param {string} key - 缓存键
+     * @param {object} options - { digest: 期望的 sha256 摘要, meta: 附加元数据 }
+     */
+    createWriter(key, options = {}) {
+        return new CacheWriter(this, key, options);
+    }
+
+    /**
+     * 直接写入一段数据作为缓存条目
+     */
+    async write(key, data, meta = {}) {
+        const tmpFile = path.join(this.dir, 'tmp', crypto.randomBytes(16).toString('hex'));
+        await fs.promises.writeFile(tmpFile, data);
+        await this.commit(key, tmpFile, data.length, meta);
+    }
+
+    /**
+     * 读取缓存条目的完整数据
+     * 返回: { data, meta } 或 null
+     */
+    async read(key) {
+        const entry = this.get(key);
+        if (!entry) {
+            return null;
+        }
+        try {
+            const data = await fs.promises.readFile(entry.file);
+            return { data, meta: entry.meta };
+        } catch {
+            this.delete(key);
+            return null;
+        }
+    }
+
+    /**
+     * 删除缓存条目
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.totalSize -= entry.size;
+        fs.rm(entry.file, { force: true }, () => {});
+        fs.rm(`${entry.file}.json`, { force: true }, () => {});
+    }
+
+    /**
+     * 按 LRU 顺序淘汰条目直至低于容量上限
+     */
+    evict() {
+        for (const key of this.entries.keys()) {
+            if (this.totalSize <= this.maxSize) break;
+            this.delete(key);
+        }
+    }
+
+    /**
+     * 将临时文件提交为缓存条目
+     */
+    async commit(key, tmpFile, size, meta) {
+        const file = this.filePath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.json`, JSON.stringify({ ...meta, key }));
+        await fs.promises.rename(tmpFile, file);
+
+        const previous = this.entries.get(key);
+        if (previous) {
+            this.entries.delete(key);
+            this.totalSize -= previous.size;
+        }
+        this.entries.set(key, { file, size, meta: { ...meta, key } });
+        this.totalSize += size;
+        this.evict();
+    }
+}
+
+/**
+ * 缓存写入流
+ * 边写入临时文件边计算 sha256，结束时校验摘要后提交
+ */
+class CacheWriter extends Writable {
+    constructor(cache, key, options) {
+        super();
+        this.cache = cache;
+        this.key = key;
+        this.expectedDigest = options.digest || null;
+        this.meta = options.meta || {};
+        this.tmpFile = path.join(cache.dir, 'tmp', crypto.randomBytes(16).toString('hex'));
+        this.hash = crypto.createHash('sha256');
+        this.bytesWritten = 0;
+        this.fd = null;
+        this.committed = false;
+        // 多个读取者会同时监听写入进度
+        this.setMaxListeners(0);
+        this.opened = new Promise((resolve, reject) => {
+            this.resolveOpened = resolve;
+            this.rejectOpened = reject;
+        });
+        this.opened.catch(() => {});
+    }
+
+    _construct(callback) {
+        fs.open(this.tmpFile, 'w', (err, fd) => {
+            this.fd = fd;
+            if (err) {
+                this.rejectOpened(err);
+            } else {
+                this.resolveOpened();
+            }
+            callback(err);
+        });
+    }
+
+    _write(chunk, encoding, callback) {
+        this.hash.update(chunk);
+        fs.write(this.fd, chunk, 0, chunk.length, null, (err) => {
+            if (!err) {
+                this.bytesWritten += chunk.length;
+                this.emit('progress', this.bytesWritten);
+            }
+            callback(err);
+        });
+    }
+
+    /**
+     * 创建跟随写入进度的读取流
+     * 读取已写入的数据，并等待后续写入直至完成
+     * @param {object} options - { start, end } 读取区间（含 end）
+     */
+    follow(options = {}) {
+        return new FollowStream(this, options);
+    }
+
+    _final(callback) {
+        const digest = `sha256:${this.hash.digest('hex')}`;
+        this.closeFd()
+            .then(() => {
+                if (this.expectedDigest && digest !== this.expectedDigest) {
+                    throw new Error(`摘要校验失败: 期望 ${this.expectedDigest}，实际 ${digest}`);
+                }
+                if (this.bytesWritten > this.cache.maxSize) {
+                    throw new Error(`文件大小 ${this.bytesWritten} 超过缓存上限`);
+                }
+                return this.cache.commit(this.key, this.tmpFile, this.bytesWritten, { ...this.meta, digest });
+            })
+            .then(() => {
+                this.committed = true;
+                callback();
+            }, callback);
+    }
+
+    _destroy(err, callback) {
+        if (this.committed) {
+            return callback(err);
+        }
+        this.closeFd().finally(() => {
+            fs.rm(this.tmpFile, { force: true }, () => callback(err));
+        });
+    }
+
+    closeFd() {
+        if (this.fd === null) {
+            return Promise.resolve();
+        }
+        const fd = this.fd;
+        this.fd = null;
+        return new Promise(resolve => fs.close(fd, () => resolve()));
+    }
+}
+
+/**
+ * 跟随读取流
+ * 读取正在写入的临时文件，写入失败时以错误结束
+ */
+class FollowStream extends Readable {
+    constructor(writer, options) {
+        super();
+        this.writer = writer;
+        this.fd = null;
+        this.position = options.start || 0;
+        this.end = options.end !== undefined ? options.end : Infinity;
+        this.waiting = null;
+    }
+
+    _construct(callback) {
+        this.writer.opened.then(() => {
+            fs.open(this.writer.tmpFile, 'r', (err, fd) => {
+                // 写入可能已完成，临时文件已被重命名到缓存路径
+                if (err && err.code === 'ENOENT') {
+                    return fs.open(this.writer.cache.filePath(this.writer.key), 'r', (error, committedFd) => {
+                        this.fd = committedFd;
+                        callback(error);
+                    });
+                }
+                this.fd = fd;
+                callback(err);
+            });
+        }, callback);
+    }
+
+    _read() {
+        if (this.position > this.end) {
+            return this.push(null);
+        }
+
+        const available = Math.min(this.writer.bytesWritten, this.end + 1) - this.position;
+        if (available > 0) {
+            const buffer = Buffer.allocUnsafe(Math.min(available, 64 * 1024));
+            fs.read(this.fd, buffer, 0, buffer.length, this.position, (err, bytesRead) => {
+                if (err) {
+                    return this.destroy(err);
+                }
+                this.position += bytesRead;
+                this.push(buffer.subarray(0, bytesRead));
+            });
+            return;
+        }
+
+        if (this.writer.committed) {
+            return this.push(null);
+        }
+        if (this.writer.destroyed) {
+            return this.destroy(new Error('上游下载中断'));
+        }
+
+        // 等待写入进度或结束后重试
+        this.waiting = () => {
+            this.stopWaiting();
+            this._read();
+        };
+        this.writer.on('progress', this.waiting);
+        this.writer.on('finish', this.waiting);
+        this.writer.on('close', this.waiting);
+    }
+
+    stopWaiting() {
+        if (!this.waiting) return;
+        this.writer.off('progress', this.waiting);
+        this.writer.off('finish', this.waiting);
+        this.writer.off('close', this.waiting);
+        this.waiting = null;
+    }
+
+    _destroy(err, callback) {
+        this.stopWaiting();
+        if (this.fd === null) {
+            return callback(err);
+        }
+        fs.close(this.fd, () => callback(err));
+        this.fd = null;
+    }
+}
+
+module.exports = {
+    DiskCache,
+    isSha256Digest,
+};
@@ -0,0 +1,97 @@
+/**
+ * GitHub API Token 池
+ * 记录每个 Token 的剩余请求额度（x-ratelimit-remaining / x-ratelimit-reset），
+ * 每次选择剩余额度最多的 Token；额度耗尽的 Token 在重置时间前不再使用
+ */
+
+const { getConfig } = require('../config');
+
+// 失效的 Token（返回 401）暂停使用的时间
+const INVALID_COOLDOWN = 60 * 60 * 1000;
+
+// 未发起过请求的 Token 按 GitHub 默认额度计算
+const DEFAULT_LIMIT = 5000;
+
+// Token -> { remaining, resetAt, disabledUntil }
+const states = new Map();
+
+function getState(token) {
+    let state = states.get(token);
+    if (!state) {
+        state = { remaining: DEFAULT_LIMIT, resetAt: 0, disabledUntil: 0 };
+        states.set(token, state);
+    }
+    return state;
+}
+
+/**
+ * 计算 Token 当前可用的额度
+ */
+function availableQuota(token, now) {
+    const state = getState(token);
+    if (state.disabledUntil > now) {
+        return 0;
+    }
+    // 已过重置时间的 Token 额度已恢复
+    return state.resetAt && state.resetAt <= now ? DEFAULT_LIMIT : state.remaining;
+}
+
+/**
+ * 选择剩余额度最多的 Token
+ * @param {Set<string>} exclude - 本次请求已尝试过的 Token
+ * 返回: Token，全部不可用时返回 null
+ */
+function pickToken(exclude = new Set()) {
+    const now = Date.now();
+    let best = null;
+    let bestQuota = 0;
+    for (const token of getConfig().githubApi?.tokens || []) {
+        if (exclude.has(token)) continue;
+        const quota = availableQuota(token, now);
+        if (quota > bestQuota) {
+            best = token;
+            bestQuota = quota;
+        }
+    }
+    return best;
+}
+
+/**
+ * 根据上游响应更新 Token 状态
+ * 返回: Token 是否仍可用（401 与额度耗尽时返回 false）
+ */
+function updateToken(token, response) {
+    const state = getState(token);
+    if (response.status === 401) {
+        state.disabledUntil = Date.now() + INVALID_COOLDOWN;
+        console.warn(`GitHub Token ${maskToken(token)} 认证失败，暂停使用`);
+        return false;
+    }
+
+    const remaining = parseInt(response.headers.get('x-ratelimit-remaining'), 10);
+    const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+    if (!Number.isNaN(remaining)) {
+        state.remaining = remaining;
+    }
+    if (!Number.isNaN(reset)) {
+        state.resetAt = reset * 1000;
+    }
+
+    const rateLimited = (response.status === 403 || response.status === 429) && state.remaining === 0;
+    if (rateLimited) {
+        console.warn(`GitHub Token ${maskToken(token)} 额度已用尽，${new Date(state.resetAt).toISOString()} 重置`);
+    }
+    return !rateLimited;
+}
+
+/**
+ * 隐藏 Token 内容，只保留末尾 4 位用于日志
+ */
+function maskToken(token) {
+    return `***${token.slice(-4)}`;
+}
+
+module.exports = {
+    pickToken,
+    updateToken,
+};
@@ -0,0 +1,373 @@
+/**
+ * 托管 Registry 存储
+ * Blob 与 Manifest 按摘要存放在 DiskCache 中（不淘汰），仓库通过链接文件引用：
+ *   repositories/<name>/_layers/<hex>             仓库可访问的 Blob
+ *   repositories/<name>/_manifests/revisions/<hex> 仓库中的 Manifest
+ *   repositories/<name>/_manifests/tags/<tag>      标签，内容为 Manifest 摘要
+ *   repositories/<name>/_referrers/<hex>/<hex>     引用该摘要的制品描述符
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DiskCache, isSha256Digest } = require('./diskCache');
+
+// 仓库名与标签格式，遵循 OCI Distribution 规范
+const REPOSITORY_RE = /^[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*(?:\/[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*)*$/;
+const TAG_RE = /^[\w][\w.-]{0,127}$/;
+
+// 未完成的上传会话保留时间
+const UPLOAD_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * 检查仓库名是否合法
+ */
+function isValidRepository(name) {
+    return name.length <= 255 && REPOSITORY_RE.test(name);
+}
+
+/**
+ * 检查标签是否合法
+ */
+function isValidTag(tag) {
+    return TAG_RE.test(tag);
+}
+
+/**
+ * 读取文件内容，不存在时返回 null
+ */
+async function readFileOrNull(file) {
+    try {
+        return await fs.promises.readFile(file, 'utf-8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 检查文件是否存在
+ */
+async function exists(file) {
+    try {
+        await fs.promises.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 读取 Manifest 的 subject 摘要
+ */
+function parseSubject(data) {
+    try {
+        const digest = JSON.parse(data.toString('utf-8')).subject?.digest;
+        return isSha256Digest(digest) ? digest : null;
+    } catch {
+        return null;
+    }
+}
+
+class HostedStorage {
+    constructor(dir) {
+        this.dir = dir;
+        this.store = new DiskCache(path.join(dir, 'blobs'), Infinity);
+        // 上传会话，键为 UUID
+        this.uploads = new Map();
+    }
+
+    init() {
+        this.store.init();
+        fs.mkdirSync(path.join(this.dir, 'repositories'), { recursive: true });
+        return this;
+    }
+
+    repoPath(repo, ...parts) {
+        return path.join(this.dir, 'repositories', repo, ...parts);
+    }
+
+    async link(file, content = '') {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, content);
+    }
+
+    /**
+     * 获取仓库中的 Blob
+     * 返回: DiskCache 条目 { file, size, meta } 或 null
+     */
+    async getBlob(repo, digest) {
+        if (!isSha256Digest(digest) || !(await exists(this.repoPath(repo, '_layers', digest.slice(7))))) {
+            return null;
+        }
+        return this.store.get(digest);
+    }
+
+    /**
+     * 将来源仓库中的 Blob 关联到仓库（跨仓库挂载）
+     * 只挂载来源仓库已引用的 Blob，不能借此读取其他仓库的内容
+     * 返回: 是否成功
+     */
+    async mountBlob(repo, digest, from) {
+        if (!(await this.getBlob(from, digest))) {
+            return false;
+        }
+        await this.link(this.repoPath(repo, '_layers', digest.slice(7)));
+        return true;
+    }
+
+    /**
+     * 删除仓库对 Blob 的引用，数据文件保留给其他仓库
+     */
+    async deleteBlob(repo, digest) {
+        if (!(await this.getBlob(repo, digest))) {
+            return false;
+        }
+        await fs.promises.rm(this.repoPath(repo, '_layers', digest.slice(7)), { force: true });
+        return true;
+    }
+
+    /**
+     * 创建上传会话
+     */
+    createUpload(repo) {
+        this.pruneUploads();
+        const id = crypto.randomUUID();
+        const session = {
+            id,
+            repo,
+            file: path.join(this.store.dir, 'tmp', `upload-${id}`),
+            size: 0,
+            hash: crypto.createHash('sha256'),
+            busy: false,
+            startedAt: Date.now(),
+        };
+        fs.writeFileSync(session.file, '');
+        this.uploads.set(id, session);
+        return session;
+    }
+
+    getUpload(repo, id) {
+        const session = this.uploads.get(id);
+        return session && session.repo === repo ? session : null;
+    }
+
+    /**
+     * 将请求体追加到上传会话
+     * 追加失败时会话内容不再可信，直接取消
+     */
+    async appendUpload(session, stream) {
+        session.busy = true;
+        const hasher = new Transform({
+            transform(chunk, encoding, callback) {
+                session.hash.update(chunk);
+                session.size += chunk.length;
+                callback(null, chunk);
+            },
+        });
+        try {
+            await pipeline(stream, hasher, fs.createWriteStream(session.file, { flags: 'a' }));
+        } catch (error) {
+            this.cancelUpload(session);
+            throw error;
+        } finally {
+            session.busy = false;
+        }
+    }
+
+    /**
+     * 完成上传：校验摘要后存储并关联到仓库
+     */
+    async completeUpload(session, digest) {
+        const actual = `sha256:${session.hash.digest('hex')}`;
+        this.uploads.delete(session.id);
+        if (actual !== digest) {
+            await fs.promises.rm(session.file, { force: true });
+            throw new Error(`摘要校验失败: 期望 ${digest}，实际 ${actual}`);
+        }
+
+        if (this.store.has(digest)) {
+            await fs.promises.rm(session.file, { force: true });
+        } else {
+            await this.store.commit(digest, session.file, session.size, { digest });
+        }
+        await this.link(this.repoPath(session.repo, '_layers', digest.slice(7)));
+    }
+
+    cancelUpload(session) {
+        this.uploads.delete(session.id);
+        fs.rm(session.file, { force: true }, () => {});
+    }
+
+    /**
+     * 清理超时未完成的上传会话
+     */
+    pruneUploads() {
+        const now = Date.now();
+        for (const session of this.uploads.values()) {
+            if (!session.busy && now - session.startedAt > UPLOAD_TTL) {
+                this.cancelUpload(session);
+            }
+        }
+    }
+
+    /**
+     * 解析 Manifest 引用为摘要
+     */
+    async resolveManifest(repo, reference) {
+        if (isSha256Digest(reference)) {
+            return (await exists(this.repoPath(repo, '_manifests', 'revisions', reference.slice(7)))) ? reference : null;
+        }
+        if (!isValidTag(reference)) {
+            return null;
+        }
+        const digest = await readFileOrNull(this.repoPath(repo, '_manifests', 'tags', reference));
+        return digest && isSha256Digest(digest.trim()) ? digest.trim() : null;
+    }
+
+    /**
+     * 获取 Manifest
+     * 返回: { data, contentType, digest } 或 null
+     */
+    async getManifest(repo, reference) {
+        const digest = await this.resolveManifest(repo, reference);
+        if (!digest) {
+            return null;
+        }
+        const entry = await this.store.read(digest);
+        if (!entry) {
+            return null;
+        }
+        return { data: entry.data, contentType: entry.meta.contentType, digest };
+    }
+
+    /**
+     * 检查仓库中是否存在 Manifest
+     */
+    async hasManifest(repo, digest) {
+        return !!(await this.resolveManifest(repo, digest));
+    }
+
+    /**
+     * 存储 Manifest，按标签推送时同时更新标签
+     * 返回 Manifest 摘要
+     */
+    async putManifest(repo, reference, data, contentType) {
+        const digest = `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`;
+        if (!this.store.has(digest)) {
+            await this.store.write(digest, data, { digest, contentType });
+        }
+        await this.link(this.repoPath(repo, '_manifests', 'revisions', digest.slice(7)));
+        if (!isSha256Digest(reference)) {
+            await this.link(this.repoPath(repo, '_manifests', 'tags', reference), digest);
+        }
+        return digest;
+    }
+
+    /**
+     * 删除 Manifest
+     * 按摘要删除时同时删除指向它的标签；按标签删除时只删除标签
+     * 返回: 是否存在并已删除
+     */
+    async deleteManifest(repo, reference) {
+        if (!isSha256Digest(reference)) {
+            const file = this.repoPath(repo, '_manifests', 'tags', reference);
+            if (!isValidTag(reference) || !(await exists(file))) {
+                return false;
+            }
+            await fs.promises.rm(file, { force: true });
+            return true;
+        }
+
+        if (!(await this.hasManifest(repo, reference))) {
+            return false;
+        }
+        const entry = await this.store.read(reference);
+        const subject = entry ? parseSubject(entry.data) : null;
+        if (subject) {
+            await fs.promises.rm(this.repoPath(repo, '_referrers', subject.slice(7), reference.slice(7)), { force: true });
+        }
+        for (const tag of (await this.listTags(repo)) || []) {
+            const digest = await readFileOrNull(this.repoPath(repo, '_manifests', 'tags', tag));
+            if (digest && digest.trim() === reference) {
+                await fs.promises.rm(this.repoPath(repo, '_manifests', 'tags', tag), { force: true });
+            }
+        }
+        await fs.promises.rm(this.repoPath(repo, '_manifests', 'revisions', reference.slice(7)), { force: true });
+        return true;
+    }
+
+    /**
+     * 记录引用 subject 的制品
+     */
+    async addReferrer(repo, subject, descriptor) {
+        if (!isSha256Digest(subject)) {
+            return;
+        }
+        await this.link(this.repoPath(repo, '_referrers', subject.slice(7), descriptor.digest.slice(7)), JSON.stringify(descriptor));
+    }
+
+    /**
+     * 列出引用指定摘要的制品描述符
+     */
+    async listReferrers(repo, digest) {
+        const dir = this.repoPath(repo, '_referrers', digest.slice(7));
+        let files;
+        try {
+            files = await fs.promises.readdir(dir);
+        } catch {
+            return [];
+        }
+
+        const descriptors = [];
+        for (const file of files.sort()) {
+            try {
+                descriptors.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf-8')));
+            } catch {
+                // 忽略损坏的描述符
+            }
+        }
+        return descriptors;
+    }
+
+    /**
+     * 列出仓库的标签，仓库不存在时返回 null
+     */
+    async listTags(repo) {
+        if (!(await exists(this.repoPath(repo, '_manifests')))) {
+            return null;
+        }
+        try {
+            return (await fs.promises.readdir(this.repoPath(repo, '_manifests', 'tags'))).sort();
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * 列出所有包含 Manifest 的仓库
+     */
+    async listRepositories() {
+        const root = path.join(this.dir, 'repositories');
+        const result = [];
+        const walk = async (dir, prefix) => {
+            for (const item of await fs.promises.readdir(dir, { withFileTypes: true })) {
+                if (!item.isDirectory()) continue;
+                if (item.name === '_manifests') {
+                    result.push(prefix);
+                } else if (!item.name.startsWith('_')) {
+                    await walk(path.join(dir, item.name), prefix ? `${prefix}/${item.name}` : item.name);
+                }
+            }
+        };
+        await walk(root, '');
+        return result.sort();
+    }
+}
+
+module.exports = {
+    HostedStorage,
+    isValidRepository,
+    isValidTag,
+};
@@ -0,0 +1,68 @@
+/**
+ * 镜像名改写
+ * 在识别 Registry 之前，将客户端使用的镜像名按规则映射到实际来源
+ */
+
+const { getConfig } = require('../config');
+
+/**
+ * 将通配符模式编译为带捕获组的正则表达式
+ */
+function compilePattern(pattern) {
+    const regexPattern = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '(.*)')
+        .replace(/\?/g, '(.)');
+    return new RegExp(`^${regexPattern}$`);
+}
+
+/**
+ * 按规则改写镜像名，to 中的 * 依次替换为 from 中通配符匹配的内容
+ * 返回: 改写后的镜像名，没有匹配的规则时返回 null
+ */
+function applyRules(name, rules) {
+    for (const rule of rules) {
+        if (!rule.from || !rule.to) {
+            continue;
+        }
+        const match = name.match(compilePattern(rule.from));
+        if (!match) {
+            continue;
+        }
+        let index = 1;
+        return rule.to.replace(/\*|\?/g, () => match[index++] ?? '');
+    }
+    return null;
+}
+
+/**
+ * 判断镜像名是否带有 Registry 域名
+ */
+function hasRegistryDomain(name) {
+    const first = name.split('/')[0];
+    return name.includes('/') && (first.includes('.') || first.includes(':') || first === 'localhost');
+}
+
+/**
+ * 改写镜像名
+ * 例如: internal/app -> ghcr.io/our-org/app；未带域名的镜像名可指定默认 Registry
+ * docker.io/ 前缀表示明确使用 Docker Hub，会被移除且不套用默认 Registry
+ * @param {string} name - 客户端请求的镜像名（不含标签）
+ * @returns {string} 改写后的镜像名
+ */
+function rewriteImageName(name) {
+    const { rules = [], defaultRegistry = '' } = getConfig().imageRewrite || {};
+
+    const rewritten = applyRules(name, rules) ?? name;
+    if (rewritten.startsWith('docker.io/')) {
+        return rewritten.slice('docker.io/'.length);
+    }
+    if (defaultRegistry && defaultRegistry !== 'docker.io' && !hasRegistryDomain(rewritten)) {
+        return `${defaultRegistry}/${rewritten}`;
+    }
+    return rewritten;
+}
+
+module.exports = {
+    rewriteImageName,
+};
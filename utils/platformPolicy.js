@@ -0,0 +1,195 @@
+/**
+ * 镜像平台策略
+ * 过滤多平台清单中不允许的平台，并拒绝这些平台的 Manifest 与 Blob
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { Cache } = require('./cache');
+
+const INDEX_MEDIA_TYPES = new Set([
+    'application/vnd.docker.distribution.manifest.list.v2+json',
+    'application/vnd.oci.image.index.v1+json',
+]);
+
+// 从多平台清单中得知的 子 Manifest 摘要 -> 平台
+const manifestPlatforms = new Cache(100000, 24 * 60 * 60 * 1000);
+// Blob 摘要 -> 是否被允许平台引用 / 是否被不允许平台引用
+const allowedBlobs = new Cache(200000, 24 * 60 * 60 * 1000);
+const deniedBlobs = new Cache(200000, 24 * 60 * 60 * 1000);
+
+/**
+ * 获取允许的平台列表，为空表示不限制
+ */
+function getAllowedPlatforms() {
+    return getConfig().platforms?.allowed || [];
+}
+
+/**
+ * 检查清单条目是否匹配指定平台
+ * 平台格式: os/arch 或 os/arch/variant
+ */
+function matchesPlatform(platform, platforms) {
+    if (!platforms || platforms.length === 0) {
+        return true;
+    }
+    if (!platform) {
+        return false;
+    }
+
+    return platforms.some((item) => {
+        const [os, architecture, variant] = item.split('/');
+        return platform.os === os &&
+            platform.architecture === architecture &&
+            (!variant || platform.variant === variant);
+    });
+}
+
+/**
+ * 格式化平台描述
+ */
+function formatPlatform(platform) {
+    return [platform.os, platform.architecture, platform.variant].filter(Boolean).join('/');
+}
+
+/**
+ * 判断清单条目是否为 BuildKit 生成的证明（attestation）
+ */
+function isAttestation(entry) {
+    return entry.platform?.os === 'unknown' && !!entry.annotations?.['vnd.docker.reference.digest'];
+}
+
+/**
+ * 判断是否为多平台清单
+ */
+function isManifestList(parsed, contentType) {
+    return INDEX_MEDIA_TYPES.has(parsed.mediaType || contentType);
+}
+
+/**
+ * 解析 Manifest 内容，失败时返回 null
+ */
+function parseManifest(data) {
+    try {
+        return JSON.parse(data.toString('utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 按允许的平台划分多平台清单的条目
+ * 证明条目跟随其引用的平台条目
+ * 返回: { kept: [...], removed: [...] }
+ */
+function partitionEntries(entries, platforms) {
+    const platformEntries = entries.filter(entry => !isAttestation(entry));
+    const kept = platformEntries.filter(entry => matchesPlatform(entry.platform, platforms));
+    const keptDigests = new Set(kept.map(entry => entry.digest));
+
+    for (const entry of entries) {
+        if (isAttestation(entry) && keptDigests.has(entry.annotations['vnd.docker.reference.digest'])) {
+            kept.push(entry);
+        }
+    }
+
+    const keptSet = new Set(kept);
+    return { kept: entries.filter(entry => keptSet.has(entry)), removed: entries.filter(entry => !keptSet.has(entry)) };
+}
+
+/**
+ * 记录多平台清单中各子 Manifest 的平台
+ * 返回不允许平台的子 Manifest 摘要列表
+ */
+function recordManifestList(parsed) {
+    const platforms = getAllowedPlatforms();
+    if (platforms.length === 0) {
+        return [];
+    }
+
+    const { removed } = partitionEntries(parsed.manifests || [], platforms);
+    const removedDigests = new Set(removed.map(entry => entry.digest));
+    for (const entry of parsed.manifests || []) {
+        manifestPlatforms.set(entry.digest, {
+            platform: entry.platform ? formatPlatform(entry.platform) : 'unknown',
+            allowed: !removedDigests.has(entry.digest),
+        });
+    }
+    return [...removedDigests];
+}
+
+/**
+ * 记录单平台 Manifest 引用的 Blob
+ * 仅在已从多平台清单得知其平台时记录
+ */
+function recordImageManifest(digest, parsed) {
+    const known = manifestPlatforms.get(digest);
+    if (!known) {
+        return;
+    }
+
+    const blobs = [parsed.config?.digest, ...(parsed.layers || []).map(layer => layer.digest)].filter(Boolean);
+    for (const blob of blobs) {
+        (known.allowed ? allowedBlobs : deniedBlobs).set(blob, known.platform);
+    }
+}
+
+/**
+ * 按允许的平台过滤多平台清单
+ * 返回: null 表示无需过滤；否则返回 { data, digest, empty }
+ */
+function filterManifestList(parsed) {
+    const platforms = getAllowedPlatforms();
+    if (platforms.length === 0 || getConfig().platforms.filterManifestLists === false) {
+        return null;
+    }
+
+    const { kept, removed } = partitionEntries(parsed.manifests || [], platforms);
+    if (removed.length === 0) {
+        return null;
+    }
+
+    const data = Buffer.from(JSON.stringify({ ...parsed, manifests: kept }));
+    return {
+        data,
+        digest: `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`,
+        empty: kept.filter(entry => !isAttestation(entry)).length === 0,
+    };
+}
+
+/**
+ * 检查 Manifest 摘要是否属于不允许的平台
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function checkManifestPlatform(digest) {
+    const known = manifestPlatforms.get(digest);
+    if (known && !known.allowed) {
+        return { allowed: false, reason: `平台 ${known.platform} 不在允许列表中` };
+    }
+    return { allowed: true, reason: '' };
+}
+
+/**
+ * 检查 Blob 是否仅被不允许的平台引用
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function checkBlobPlatform(digest) {
+    const platform = deniedBlobs.get(digest);
+    if (platform && !allowedBlobs.get(digest)) {
+        return { allowed: false, reason: `该 Blob 属于不允许的平台 ${platform}` };
+    }
+    return { allowed: true, reason: '' };
+}
+
+module.exports = {
+    INDEX_MEDIA_TYPES,
+    getAllowedPlatforms,
+    matchesPlatform,
+    isManifestList,
+    parseManifest,
+    recordManifestList,
+    recordImageManifest,
+    filterManifestList,
+    checkManifestPlatform,
+    checkBlobPlatform,
+};
@@ -0,0 +1,162 @@
+/**
+ * 文件加速的域名规则
+ * 由 [[proxy.hosts]] 配置与内置的 GitHub 等规则组成，配置的规则优先匹配。每条规则：
+ *   name                 规则名称，用于日志
+ *   match                正则表达式，匹配去掉协议头的地址（如 github.com/owner/repo/...）
+ *   repo                 访问控制使用的仓库名模板，如 "$1/$2"，留空不检查
+ *   redirect             重定向策略：follow 跟随任意地址；matched 只跟随匹配规则的地址；passthrough 返回给客户端
+ *   blockedContentTypes  禁止的内容类型，默认使用 proxy.blockedContentTypes
+ *   maxSize              文件大小上限（字节），默认使用 server.fileSize
+ * 内置规则另有 handler（git / githubApi）与 pathReplace，用于 Git 克隆、API 缓存与 blob 链接转换
+ */
+
+const { getConfig } = require('../config');
+
+// 内置规则，与原 Go 项目的 GitHub 匹配规则一致
+const BUILTIN_HOSTS = [
+    {
+        name: 'github-release',
+        match: '^github\\.com/([^/]+)/([^/]+)/(?:releases|archive)/',
+        repo: '$1/$2',
+    },
+    {
+        name: 'github-blob',
+        match: '^github\\.com/([^/]+)/([^/]+)/(?:blob|raw)/',
+        repo: '$1/$2',
+        pathReplace: ['/blob/', '/raw/'],
+    },
+    {
+        name: 'github-git',
+        match: '^github\\.com/([^/]+)/([^/]+)/(?:info|git-)',
+        repo: '$1/$2',
+        handler: 'git',
+    },
+    {
+        name: 'github-raw',
+        match: '^raw\\.github(?:usercontent)?\\.com/([^/]+)/([^/]+)/.+?/.+',
+        repo: '$1/$2',
+    },
+    {
+        name: 'gist',
+        match: '^gist\\.(?:githubusercontent|github)\\.com/([^/]+)/([^/]+)',
+        repo: '$1/$2',
+    },
+    {
+        name: 'github-api',
+        match: '^api\\.github\\.com/repos/([^/]+)/([^/]+)/',
+        repo: '$1/$2',
+        handler: 'githubApi',
+    },
+    {
+        name: 'huggingface',
+        match: '^huggingface\\.co(?:/spaces)?/([^/]+)/([^/]+)',
+        repo: '$1/$2',
+    },
+    {
+        name: 'huggingface-lfs',
+        match: '^cdn-lfs\\.hf\\.co(?:/spaces)?/([^/]+)/([^/]+)',
+        repo: '$1/$2',
+    },
+    {
+        name: 'docker-download',
+        match: '^download\\.docker\\.com/[^/]+/.*\\.(?:tgz|zip)',
+    },
+    {
+        name: 'githubassets',
+        match: '^(?:github|opengraph)\\.githubassets\\.com/[^/]+/.+',
+    },
+];
+
+const REDIRECT_POLICIES = ['follow', 'matched', 'passthrough'];
+
+// 正则表达式 -> RegExp，无效的表达式为 null
+const compiledPatterns = new Map();
+
+/**
+ * 编译规则的正则表达式，无效的规则只提示一次并忽略
+ */
+function compilePattern(rule) {
+    if (!compiledPatterns.has(rule.match)) {
+        let regex = null;
+        try {
+            regex = new RegExp(rule.match);
+        } catch (error) {
+            console.error(`域名规则 ${rule.name || rule.match} 的 match 无效: ${error.message}`);
+        }
+        compiledPatterns.set(rule.match, regex);
+    }
+    return compiledPatterns.get(rule.match);
+}
+
+/**
+ * 获取当前生效的规则列表
+ */
+function getHostRules() {
+    const { proxy } = getConfig();
+    const rules = (proxy?.hosts || []).filter(rule => rule && typeof rule.match === 'string');
+    return proxy?.builtinHosts === false ? rules : [...rules, ...BUILTIN_HOSTS];
+}
+
+/**
+ * 按规则模板提取仓库名，$n 替换为第 n 个捕获组
+ * 单段仓库名（如 "$1"）没有所有者，owner 为 null
+ */
+function extractRepository(template, matches) {
+    const repoPath = template.replace(/\$(\d)/g, (match, index) => matches[index] || '');
+    const slash = repoPath.indexOf('/');
+    if (slash < 0) {
+        return { owner: null, repo: repoPath };
+    }
+    return { owner: repoPath.slice(0, slash) || null, repo: repoPath.slice(slash + 1) };
+}
+
+/**
+ * 查找匹配地址的规则
+ * @param {string} url - 完整地址，协议头可省略
+ * 返回: { rule, owner, repo }，不检查仓库的规则 owner 与 repo 为 null；没有匹配时返回 null
+ */
+function matchProxyHost(url) {
+    const target = url.replace(/^https?:\/\//, '');
+    for (const rule of getHostRules()) {
+        const regex = compilePattern(rule);
+        const matches = regex ? target.match(regex) : null;
+        if (!matches) {
+            continue;
+        }
+        if (!rule.repo) {
+            return { rule, owner: null, repo: null };
+        }
+        return { rule, ...extractRepository(rule.repo, matches) };
+    }
+    return null;
+}
+
+/**
+ * 获取规则的重定向策略
+ */
+function getRedirectPolicy(rule) {
+    return REDIRECT_POLICIES.includes(rule?.redirect) ? rule.redirect : 'follow';
+}
+
+/**
+ * 检查内容类型是否被规则禁止
+ */
+function isBlockedContentType(rule, contentType) {
+    const blocked = rule?.blockedContentTypes || getConfig().proxy.blockedContentTypes || [];
+    const baseType = (contentType || '').split(';')[0].trim().toLowerCase();
+    return blocked.includes(baseType);
+}
+
+/**
+ * 获取规则的文件大小上限
+ */
+function getMaxSize(rule) {
+    return rule?.maxSize > 0 ? rule.maxSize : getConfig().server.fileSize;
+}
+
+module.exports = {
+    matchProxyHost,
+    getRedirectPolicy,
+    isBlockedContentType,
+    getMaxSize,
+};
@@ -0,0 +1,116 @@
+/**
+ * HTTP Range 请求处理
+ * 用于从本地缓存返回部分内容（206）
+ */
+
+const fs = require('fs');
+
+/**
+ * 解析 Range 头，仅支持单一字节区间
+ * 返回: { start, end }；无 Range 或无法处理时返回 null（返回完整内容）；
+ * 区间无法满足时返回 { unsatisfiable: true }
+ */
+function parseRange(header, size) {
+    if (!header) {
+        return null;
+    }
+
+    const match = header.match(/^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/);
+    if (!match || (match[1] === '' && match[2] === '')) {
+        // 多区间或格式错误时忽略 Range
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // 后缀区间: bytes=-500 表示最后 500 字节
+        const suffix = parseInt(match[2], 10);
+        if (suffix === 0) {
+            return { unsatisfiable: true };
+        }
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return { unsatisfiable: true };
+    }
+    return { start, end };
+}
+
+/**
+ * 检查 If-Range 条件，不满足时应忽略 Range 返回完整内容
+ * @param {string} ifRange - If-Range 请求头
+ * @param {string} etag - 当前资源的 ETag
+ * @param {string} lastModified - 当前资源的 Last-Modified
+ */
+function ifRangeMatches(ifRange, etag, lastModified) {
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        // 强校验：弱 ETag 不匹配
+        return !!etag && !ifRange.startsWith('W/') && ifRange === etag;
+    }
+    return !!lastModified && ifRange === lastModified;
+}
+
+/**
+ * 根据请求头计算应返回的区间
+ * 返回: null（完整内容）、{ start, end } 或 { unsatisfiable: true }
+ */
+function resolveRange(req, size, etag, lastModified) {
+    if (req.method !== 'GET' || !ifRangeMatches(req.headers['if-range'], etag, lastModified)) {
+        return null;
+    }
+    return parseRange(req.headers.range, size);
+}
+
+/**
+ * 返回本地文件，支持 Range 与 If-Range
+ * @param {object} headers - 附加响应头（Content-Type、ETag 等）
+ */
+function sendFileRange(req, res, file, size, headers = {}) {
+    const range = resolveRange(req, size, headers['ETag'], headers['Last-Modified']);
+
+    res.set(headers);
+    res.set('Accept-Ranges', 'bytes');
+
+    if (range && range.unsatisfiable) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+
+    res.set('Content-Length', String(size === 0 ? 0 : end - start + 1));
+    if (range) {
+        res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+        res.status(206);
+    } else {
+        res.status(200);
+    }
+
+    if (req.method === 'HEAD' || size === 0) {
+        return res.end();
+    }
+
+    fs.createReadStream(file, { start, end })
+        .on('error', (error) => {
+            console.error(`读取缓存文件失败: ${error.message}`);
+            res.destroy(error);
+        })
+        .pipe(res);
+}
+
+module.exports = {
+    parseRange,
+    ifRangeMatches,
+    resolveRange,
+    sendFileRange,
+};
@@ -0,0 +1,75 @@
+/**
+ * OCI 1.1 Referrers 支持
+ * 签名、SBOM 等制品通过 subject 字段引用镜像；不支持 Referrers API 的 Registry
+ * 使用 tag schema（sha256-<hex> 标签）保存引用列表，cosign 使用 sha256-<hex>.sig/.att/.sbom 标签
+ */
+
+const INDEX_MEDIA_TYPE = 'application/vnd.oci.image.index.v1+json';
+
+const SUBJECT_TAG_RE = /^sha256-([a-f0-9]{64})(?:\.(sig|att|sbom))?$/;
+
+/**
+ * 解析引用镜像摘要的标签
+ * 例如: sha256-<hex>.sig -> sha256:<hex>
+ * 返回: 被引用的镜像摘要，不是此类标签时返回 null
+ */
+function parseSubjectTag(reference) {
+    const match = (reference || '').match(SUBJECT_TAG_RE);
+    return match ? `sha256:${match[1]}` : null;
+}
+
+/**
+ * 构建 tag schema 使用的标签
+ */
+function buildSubjectTag(digest) {
+    return digest.replace(/^sha256:/, 'sha256-');
+}
+
+/**
+ * 构建 Referrers 响应的镜像索引
+ */
+function buildReferrersIndex(descriptors) {
+    return { schemaVersion: 2, mediaType: INDEX_MEDIA_TYPE, manifests: descriptors };
+}
+
+/**
+ * 按 artifactType 过滤引用列表
+ * 返回: { index, filtered: 是否应用了过滤 }
+ */
+function filterReferrers(index, artifactType) {
+    if (!artifactType) {
+        return { index, filtered: false };
+    }
+    const manifests = (index.manifests || []).filter(entry => entry.artifactType === artifactType);
+    return { index: { ...index, manifests }, filtered: true };
+}
+
+/**
+ * 根据推送的 Manifest 生成引用描述符
+ * artifactType 缺省时取 config 的 mediaType
+ * @param {object} manifest - 已解析的 Manifest
+ */
+function toReferrerDescriptor(manifest, data, digest, contentType) {
+    const descriptor = {
+        mediaType: manifest.mediaType || contentType,
+        digest,
+        size: data.length,
+    };
+    const artifactType = manifest.artifactType || manifest.config?.mediaType;
+    if (artifactType) {
+        descriptor.artifactType = artifactType;
+    }
+    if (manifest.annotations) {
+        descriptor.annotations = manifest.annotations;
+    }
+    return descriptor;
+}
+
+module.exports = {
+    INDEX_MEDIA_TYPE,
+    parseSubjectTag,
+    buildSubjectTag,
+    buildReferrersIndex,
+    filterReferrers,
+    toReferrerDescriptor,
+};
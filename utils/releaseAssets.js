@@ -0,0 +1,83 @@
+/**
+ * Release 附件匹配
+ * 按文件名通配符从 Release 附件中选择下载文件，可按操作系统与架构进一步筛选
+ */
+
+const { wildcardMatch } = require('../middleware/accessControl');
+
+// 操作系统在文件名中的常见写法
+const OS_ALIASES = {
+    linux: ['linux'],
+    darwin: ['darwin', 'macos', 'mac', 'osx', 'apple'],
+    windows: ['windows', 'win', 'win32', 'win64', 'msvc', 'mingw'],
+    freebsd: ['freebsd'],
+};
+
+// 架构在文件名中的常见写法
+const ARCH_ALIASES = {
+    amd64: ['amd64', 'x86_64', 'x64', 'x86-64'],
+    arm64: ['arm64', 'aarch64', 'armv8'],
+    386: ['386', 'i386', 'i686', 'x86', 'win32'],
+    arm: ['armv7', 'armv7l', 'armhf', 'armv6', 'arm'],
+    riscv64: ['riscv64'],
+    s390x: ['s390x'],
+    ppc64le: ['ppc64le'],
+};
+
+// 校验和与签名文件，匹配到多个附件时排在后面
+const AUXILIARY_RE = /\.(?:sha\d*|sha\d+sum|md5|asc|sig|pem|sbom|spdx|json|txt|intoto\.jsonl)$|checksums?/i;
+
+/**
+ * 查找别名所属的规范名称，未知名称原样返回
+ */
+function normalizeAlias(value, aliases) {
+    const lower = (value || '').toLowerCase();
+    for (const [name, list] of Object.entries(aliases)) {
+        if (name === lower || list.includes(lower)) {
+            return name;
+        }
+    }
+    return lower;
+}
+
+/**
+ * 检查文件名中是否包含任一别名，别名前后须为非字母数字字符
+ */
+function containsAlias(fileName, aliases) {
+    const lower = fileName.toLowerCase();
+    return aliases.some((alias) => {
+        const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?:^|[^a-z0-9])${escaped}(?:$|[^a-z0-9])`).test(lower);
+    });
+}
+
+/**
+ * 按通配符与平台选择 Release 附件
+ * @param {Array} assets - GitHub API 返回的 assets
+ * @param {string} pattern - 文件名通配符，例如 *linux*amd64*.tar.gz
+ * @param {object} platform - { os, arch }，可选
+ * 返回: 选中的附件，没有匹配时返回 null
+ */
+function selectAsset(assets, pattern, platform = {}) {
+    let candidates = (assets || []).filter(asset => wildcardMatch(pattern, asset.name));
+
+    if (platform.os) {
+        const os = normalizeAlias(platform.os, OS_ALIASES);
+        candidates = candidates.filter(asset => containsAlias(asset.name, OS_ALIASES[os] || [os]));
+    }
+    if (platform.arch) {
+        const arch = normalizeAlias(platform.arch, ARCH_ALIASES);
+        // x86 与 arm 会误匹配 x86_64、arm64，先排除更具体的架构
+        const conflicts = { 386: ARCH_ALIASES.amd64, arm: ARCH_ALIASES.arm64 }[arch] || [];
+        candidates = candidates.filter(asset => containsAlias(asset.name, ARCH_ALIASES[arch] || [arch]) &&
+            !containsAlias(asset.name, conflicts));
+    }
+
+    // 优先选择非校验和文件，其次选择文件名较短的（通常是主程序包）
+    candidates.sort((a, b) => (AUXILIARY_RE.test(a.name) - AUXILIARY_RE.test(b.name)) || (a.name.length - b.name.length));
+    return candidates[0] || null;
+}
+
+module.exports = {
+    selectAsset,
+};
@@ -0,0 +1,161 @@
+/**
+ * 镜像标签的语义化版本匹配
+ * 支持 ^、~、>=、>、<=、<、= 比较符，空格表示且，|| 表示或
+ */
+
+/**
+ * 解析版本号
+ * 例如: 1.25.3、v1.25、1.25.3-alpine（后缀不参与比较）
+ * 返回: { parts: [major, minor, patch], given: 已给出的段数 } 或 null
+ */
+function parseVersion(str) {
+    const match = str.trim().match(/^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:[-+].*)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const parts = [];
+    for (const part of match.slice(1, 4)) {
+        if (part === undefined || !/^\d+$/.test(part)) {
+            break;
+        }
+        parts.push(parseInt(part, 10));
+    }
+    const given = parts.length;
+    while (parts.length < 3) {
+        parts.push(0);
+    }
+    return { parts, given };
+}
+
+/**
+ * 比较两个版本号
+ */
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) {
+            return a[i] < b[i] ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * 计算部分版本号的上界（不含）
+ * 例如: 1 -> 2.0.0，1.25 -> 1.26.0
+ */
+function partialUpperBound(version) {
+    const [major, minor] = version.parts;
+    if (version.given <= 1) {
+        return [major + 1, 0, 0];
+    }
+    return [major, minor + 1, 0];
+}
+
+/**
+ * 将单个比较符转换为区间 { lower, lowerInclusive, upper }
+ * 返回 null 表示比较符格式错误
+ */
+function parseComparator(comparator) {
+    const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*(.+)$/);
+    if (!match) {
+        return null;
+    }
+    const op = match[1] || '=';
+    const version = parseVersion(match[2]);
+    if (!version) {
+        return null;
+    }
+    const [major, minor, patch] = version.parts;
+
+    switch (op) {
+        case '^': {
+            let upper;
+            if (major > 0 || version.given <= 1) {
+                upper = [major + 1, 0, 0];
+            } else if (minor > 0 || version.given === 2) {
+                upper = [0, minor + 1, 0];
+            } else {
+                upper = [0, 0, patch + 1];
+            }
+            return { lower: version.parts, lowerInclusive: true, upper };
+        }
+        case '~':
+            return { lower: version.parts, lowerInclusive: true, upper: partialUpperBound({ ...version, given: Math.min(version.given, 2) }) };
+        case '>=':
+            return { lower: version.parts, lowerInclusive: true, upper: null };
+        case '>':
+            // 部分版本: >1.25 表示 >=1.26.0
+            return version.given < 3
+                ? { lower: partialUpperBound(version), lowerInclusive: true, upper: null }
+                : { lower: version.parts, lowerInclusive: false, upper: null };
+        case '<':
+            return { lower: null, upper: version.parts };
+        case '<=':
+            return { lower: null, upper: version.given < 3 ? partialUpperBound(version) : [major, minor, patch + 1] };
+        default:
+            // =1.25 表示 1.25.x，完整版本号表示精确匹配
+            if (version.given === 0) {
+                return { lower: null, upper: null };
+            }
+            return {
+                lower: version.parts,
+                lowerInclusive: true,
+                upper: version.given < 3 ? partialUpperBound(version) : [major, minor, patch + 1],
+            };
+    }
+}
+
+/**
+ * 检查版本是否落在区间内
+ */
+function inInterval(parts, interval) {
+    if (interval.lower) {
+        const cmp = compareVersions(parts, interval.lower);
+        if (cmp < 0 || (cmp === 0 && !interval.lowerInclusive)) {
+            return false;
+        }
+    }
+    if (interval.upper && compareVersions(parts, interval.upper) >= 0) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 检查字符串是否为语义化版本范围（以比较符开头或包含 ||）
+ * 镜像标签不能包含这些字符，因此不会与标签通配符混淆
+ */
+function isSemverRange(str) {
+    return /^[\^~<>=]/.test(str.trim()) || str.includes('||');
+}
+
+/**
+ * 检查标签是否满足版本范围
+ * 例如: satisfies('1.25.3', '^1.25')、satisfies('7.2', '>=7 <8 || 6.2.x')
+ */
+function satisfies(tag, range) {
+    const version = parseVersion(tag);
+    if (!version || version.given === 0) {
+        return false;
+    }
+
+    return range.split('||').some((set) => {
+        // 比较符与版本号之间允许空格，例如 ">= 1.2"
+        const comparators = set.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+        if (comparators.length === 0) {
+            return false;
+        }
+        return comparators.every((comparator) => {
+            const interval = parseComparator(comparator);
+            return !!interval && inInterval(version.parts, interval);
+        });
+    });
+}
+
+module.exports = {
+    parseVersion,
+    compareVersions,
+    isSemverRange,
+    satisfies,
+};
@@ -0,0 +1,39 @@
+/**
+ * 并发请求合并
+ * 相同键的并发调用共享同一次执行结果
+ */
+
+class SingleFlight {
+    constructor() {
+        this.calls = new Map();
+    }
+
+    /**
+     * 执行 fn，若相同键的调用正在进行则等待其结果
+     * @param {string} key - 请求键
+     * @param {Function} fn - 返回 Promise 的函数
+     */
+    do(key, fn) {
+        const inflight = this.calls.get(key);
+        if (inflight) {
+            return inflight;
+        }
+
+        const promise = Promise.resolve()
+            .then(fn)
+            .finally(() => this.calls.delete(key));
+        this.calls.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * 获取进行中的调用数量
+     */
+    get size() {
+        return this.calls.size;
+    }
+}
+
+module.exports = {
+    SingleFlight,
+};
@@ -0,0 +1,129 @@
+/**
+ * 上游健康状态与熔断
+ * 记录各上游的连续失败次数，达到阈值后在冷却时间内跳过该上游；
+ * 冷却结束后允许请求重新尝试，成功即恢复。后台定期探测 /v2/ 以便尽早发现故障与恢复
+ */
+
+const fetch = require('node-fetch');
+const { getConfig } = require('../config');
+
+// 上游地址 -> { failures, openUntil, lastError }
+const states = new Map();
+
+let healthTimer = null;
+
+function getState(host) {
+    let state = states.get(host);
+    if (!state) {
+        state = { failures: 0, openUntil: 0, lastError: '' };
+        states.set(host, state);
+    }
+    return state;
+}
+
+/**
+ * 检查上游当前是否可用（熔断未打开或冷却已结束）
+ */
+function isUpstreamAvailable(host) {
+    return getState(host).openUntil <= Date.now();
+}
+
+/**
+ * 按可用性排序上游，保持配置顺序；全部不可用时仍按原顺序尝试
+ * @param {Array<{ host: string }>} endpoints
+ */
+function orderUpstreams(endpoints) {
+    const available = endpoints.filter(endpoint => isUpstreamAvailable(endpoint.host));
+    const unavailable = endpoints.filter(endpoint => !isUpstreamAvailable(endpoint.host));
+    return [...available, ...unavailable];
+}
+
+/**
+ * 记录上游请求成功
+ */
+function reportUpstreamSuccess(host) {
+    const state = getState(host);
+    if (state.failures >= getConfig().upstreamHealth.failureThreshold) {
+        console.log(`上游 ${host} 已恢复`);
+    }
+    state.failures = 0;
+    state.openUntil = 0;
+    state.lastError = '';
+}
+
+/**
+ * 记录上游请求失败，连续失败达到阈值时打开熔断
+ */
+function reportUpstreamFailure(host, reason) {
+    const { failureThreshold, cooldown } = getConfig().upstreamHealth;
+    const state = getState(host);
+    state.failures += 1;
+    state.lastError = reason;
+    if (state.failures >= failureThreshold) {
+        if (state.openUntil <= Date.now()) {
+            console.warn(`上游 ${host} 连续失败 ${state.failures} 次，暂停使用 ${cooldown} 秒: ${reason}`);
+        }
+        state.openUntil = Date.now() + cooldown * 1000;
+    }
+}
+
+/**
+ * 探测上游 /v2/，200 或 401 均视为健康
+ */
+async function probeUpstream(host) {
+    try {
+        const response = await fetch(`https://${host}/v2/`, {
+            redirect: 'follow',
+            timeout: getConfig().upstreamHealth.timeout * 1000,
+        });
+        response.body.resume();
+        if (response.status < 500) {
+            reportUpstreamSuccess(host);
+        } else {
+            reportUpstreamFailure(host, `健康检查返回 ${response.status}`);
+        }
+    } catch (error) {
+        reportUpstreamFailure(host, `健康检查失败: ${error.message}`);
+    }
+}
+
+/**
+ * 启动后台健康检查
+ * @param {function} listHosts - 返回需要探测的上游地址列表
+ */
+function startHealthChecks(listHosts) {
+    const interval = getConfig().upstreamHealth.checkInterval;
+    if (healthTimer || !interval) {
+        return;
+    }
+
+    healthTimer = setInterval(() => {
+        for (const host of listHosts()) {
+            probeUpstream(host);
+        }
+    }, interval * 1000);
+    healthTimer.unref();
+}
+
+/**
+ * 获取各上游的健康状态
+ */
+function getUpstreamStatus() {
+    const result = {};
+    for (const [host, state] of states.entries()) {
+        result[host] = {
+            available: isUpstreamAvailable(host),
+            failures: state.failures,
+            lastError: state.lastError,
+        };
+    }
+    return result;
+}
+
+module.exports = {
+    orderUpstreams,
+    reportUpstreamSuccess,
+    reportUpstreamFailure,
+    startHealthChecks,
+    getUpstreamStatus,
+};